@@ -2,10 +2,75 @@
  * Space Cubes Game Configuration
  */
 const CONFIG = {
-    // Pit dimensions
-    PIT_WIDTH: 5,
-    PIT_DEPTH: 5,
-    PIT_HEIGHT: 15,
+    // Pit dimensions (chosen on the welcome screen)
+    PIT_PRESETS: [
+        { id: '3x3x10', name: 'Small (3x3x10)', width: 3, depth: 3, height: 10 },
+        { id: '5x5x15', name: 'Classic (5x5x15)', width: 5, depth: 5, height: 15 },
+        { id: '7x7x12', name: 'Wide (7x7x12)', width: 7, depth: 7, height: 12 },
+        { id: '4x6x14', name: 'Oblong (4x6x14)', width: 4, depth: 6, height: 14 }
+    ],
+    
+    // Randomizers that deal the shapes (see js/randomizers.js), picked per shape set
+    RANDOMIZERS: [
+        { id: 'pure', name: 'Pure random', type: 'pure' },
+        { id: 'bag', name: 'Bag', type: 'bag', copies: 1 },
+        { id: 'double-bag', name: 'Double bag', type: 'bag', copies: 2 },
+        { id: 'history', name: 'History', type: 'history', historySize: 4, rerolls: 4 },
+        { id: 'weighted', name: 'Weighted', type: 'weighted', defaultWeight: 1, weights: { 'I5': 0.5, 'X5': 0.5, 'D5-*': 0.5 } }
+    ],
+    DEFAULT_RANDOMIZER: 'bag', // For shape sets without one (e.g. the custom pack)
+    
+    // Shape sets (chosen on the welcome screen). Each unlock adds shapes from
+    // the polycube library once that level is reached; 'D5-*' matches every id
+    // starting with 'D5-'. The randomizer is the id of one of RANDOMIZERS.
+    SHAPE_SETS: [
+        {
+            id: 'classic', name: 'Classic', randomizer: 'bag', unlocks: [
+                { level: 1, shapes: ['I3', 'L3', 'T4', 'O4'] },
+                { level: 2, shapes: ['I4'] },
+                { level: 4, shapes: ['S4'] },
+                { level: 5, shapes: ['B4'] },
+                { level: 7, shapes: ['O8'] }
+            ]
+        },
+        {
+            id: 'flat', name: 'Flat', randomizer: 'history', unlocks: [
+                { level: 1, shapes: ['I3', 'L3', 'I4', 'O4', 'T4'] },
+                { level: 3, shapes: ['L4', 'S4'] },
+                { level: 5, shapes: ['L5', 'P5', 'T5', 'U5', 'V5'] },
+                { level: 7, shapes: ['F5', 'I5', 'N5', 'W5', 'X5', 'Y5', 'Z5'] }
+            ]
+        },
+        {
+            id: 'basic', name: 'Basic', randomizer: 'double-bag', unlocks: [
+                { level: 1, shapes: ['I3', 'L3', 'O4', 'T4', 'L4'] },
+                { level: 2, shapes: ['I4', 'S4'] },
+                { level: 4, shapes: ['B4'] },
+                { level: 6, shapes: ['R4', 'Q4'] }
+            ]
+        },
+        {
+            id: 'extended', name: 'Extended', randomizer: 'weighted', unlocks: [
+                { level: 1, shapes: ['I3', 'L3', 'I4', 'O4', 'T4', 'L4', 'S4'] },
+                { level: 3, shapes: ['B4', 'R4', 'Q4'] },
+                { level: 5, shapes: ['L5', 'P5', 'T5', 'U5', 'V5', 'Y5'] },
+                { level: 7, shapes: ['F5', 'I5', 'N5', 'W5', 'X5', 'Z5'] },
+                { level: 9, shapes: ['D5-*'] }
+            ]
+        }
+    ],
+    
+    // Spawning and topping out
+    TOP_OUT: {
+        // Shifts [dx, dy] from the centered spawn position tried before the block is out
+        SPAWN_OFFSETS: [[0, 0], [-1, 0], [1, 0], [0, -1], [0, 1]],
+        LOCK_OUT: 'all',       // Game over when a block locks with 'any' or 'all' of its cubes in the rim, or 'off'
+        RIM_LAYERS: 1,         // Top layers that make up the rim
+        DANGER_HEIGHT: 0.75,   // Warn when the stack reaches this share of the pit height
+    },
+    
+    // Upcoming blocks (the length is chosen on the welcome screen)
+    MAX_QUEUE_LENGTH: 6,
     
     // Game settings
     INITIAL_FALL_SPEED: 1.0, // Units per second
@@ -13,9 +78,16 @@ const CONFIG = {
     SPEED_INCREASE: 0.2,     // How much to increase speed per level
     MAX_FALL_SPEED: 5.0,     // Maximum falling speed
     
+    // Simulation timing
+    TICK_RATE: 60,           // Fixed simulation ticks per second
+    MAX_FRAME_TIME: 0.25,    // Longest frame (seconds) the simulation catches up on
+    
     // Scoring
     POINTS_PER_BLOCK: 10,    // Points for placing a block
     POINTS_PER_LAYER: 100,   // Points for clearing a layer
+    POINTS_PER_COLUMN: 300,  // Points for clearing a same-color column
+    CHAIN_MULTIPLIERS: [1, 2, 3, 5, 8], // Score multiplier per chain step (the last one repeats)
+    COLUMN_CLEAR_HEIGHT: null, // Same-color cubes stacked this high in one column clear (null: the pit height)
     
     // Colors
     PIT_COLOR: 0x00aaff,     // Neon blue for pit wireframe
@@ -35,6 +107,30 @@ const CONFIG = {
     // High scores
     HIGH_SCORE_KEY: 'spacecubes_high_scores',  // localStorage key for high scores
     PLAYER_NAME_KEY: 'spacecubes_player_name',  // localStorage key for player name
+    LEGACY_HIGH_SCORE_SIZE: '5x5x15',           // Pit size whose table keeps the original key
+    SETTINGS_KEY: 'spacecubes_settings',        // localStorage key for the welcome screen choices
+    CUSTOM_SHAPES_KEY: 'spacecubes_custom_shapes', // localStorage key for shapes made in the shape editor
+    
+    // Shape editor
+    SHAPE_EDITOR: {
+        GRID_SIZE: 4,  // Cells per side of the editing grid
+        MAX_CUBES: 8,  // Largest custom shape
+    },
+    
+    // Saved game (resume a run after a reload)
+    SAVE_GAME_KEY: 'spacecubes_saved_game',    // localStorage key for the in-progress run
+    SAVE_GAME_INTERVAL: 10,                     // Seconds between automatic saves
+    
+    // Garbage layers (versus attacks, rising floor, puzzles)
+    GARBAGE: {
+        HOLES_PER_LAYER: 1,       // Open cells in every garbage layer (the color is PitModel.GARBAGE_COLOR)
+    },
+    
+    // Versus multiplayer (run `node server/relay.js` to play)
+    MULTIPLAYER: {
+        SERVER_URL: 'ws://localhost:8787', // Relay address, ?server= in the page URL overrides it
+        ATTACK_TABLE: [0, 0, 1, 2, 4],     // Garbage layers sent per number of lines/layers cleared at once
+    },
     
     // Device detection
     IS_MOBILE: /Android|webOS|iPhone|iPad|iPod|BlackBerry|IEMobile|Opera Mini/i.test(navigator.userAgent),
@@ -43,16 +139,133 @@ const CONFIG = {
     ROTATION_SPEED: Math.PI / 2, // Rotation speed (90 degrees in radians)
     DROP_SPEED_MULTIPLIER: 10,    // How much faster blocks fall when dropping
     
+    // Wall kicks: offsets [dx, dy, dz] tried in order when a rotated block
+    // collides, per kick class (see js/polycube-library.js) and per world axis
+    // the block turns around. Blocks never kick upwards; x/y turns may sink
+    // one cell as a last resort since they change the block's height.
+    ROTATION: {
+        KICKS: {
+            standard: {
+                x: [[0, 0, 0], [0, 1, 0], [0, -1, 0], [1, 0, 0], [-1, 0, 0], [0, 0, -1]],
+                y: [[0, 0, 0], [1, 0, 0], [-1, 0, 0], [0, 1, 0], [0, -1, 0], [0, 0, -1]],
+                z: [[0, 0, 0], [1, 0, 0], [-1, 0, 0], [0, 1, 0], [0, -1, 0],
+                    [1, 1, 0], [-1, 1, 0], [1, -1, 0], [-1, -1, 0]]
+            },
+            long: {
+                x: [[0, 0, 0], [0, 1, 0], [0, -1, 0], [0, 2, 0], [0, -2, 0],
+                    [1, 0, 0], [-1, 0, 0], [0, 0, -1], [0, 0, -2]],
+                y: [[0, 0, 0], [1, 0, 0], [-1, 0, 0], [2, 0, 0], [-2, 0, 0],
+                    [0, 1, 0], [0, -1, 0], [0, 0, -1], [0, 0, -2]],
+                z: [[0, 0, 0], [1, 0, 0], [-1, 0, 0], [0, 1, 0], [0, -1, 0],
+                    [2, 0, 0], [-2, 0, 0], [0, 2, 0], [0, -2, 0]]
+            },
+            big: {
+                x: [[0, 0, 0]],
+                y: [[0, 0, 0]],
+                z: [[0, 0, 0]]
+            }
+        }
+    },
+    
     // Visual settings
     BLOCK_EDGE_WIDTH: 4,          // Width of block edges in pixels
     BLOCK_OPACITY: 0.8,          // Opacity of blocks (0.0 to 1.0)
     
-    // Special block settings
-    SPECIAL_BLOCK: {
-        MIN_INTERVAL: 15,         // Minimum blocks between special blocks
-        MAX_INTERVAL: 20,         // Maximum blocks between special blocks
-        COLOR: 0xffffff,         // Pure white for special blocks - completely different from regular colors
-        EFFECT_DURATION: 0.5,     // Duration of special effect in seconds
+    // How the grid closes up after a clear: classic drops each column by the
+    // cells cleared in it; cascade lets loose groups of cubes fall as rigid
+    // bodies, held together by the piece they came from or by their color
+    GRAVITY_MODES: [
+        { id: 'classic', name: 'Classic', gravity: 'classic' },
+        { id: 'cascade', name: 'Cascade (pieces)', gravity: 'cascade', connectivity: 'piece' },
+        { id: 'cascade-color', name: 'Cascade (colors)', gravity: 'cascade', connectivity: 'color' }
+    ],
+    CASCADE_FALL_ACCELERATION: 40, // Cells per second² for the animated cascade fall
+    
+    // Clear animation styles, picked by each match pattern (see PitModel.MATCH_PATTERNS)
+    CLEAR_ANIMATIONS: {
+        layer: {
+            FLASH_DURATION: 0.6,          // Seconds of color cycling before the blocks burst
+            WAVE: true,                   // Ripple out from the pit center while flashing
+            PARTICLES: [8, 12],           // Particles per block (min, max)
+            PARTICLE_SIZE: [0.08, 0.26],
+            PARTICLE_SHAPES: 3,           // Boxes, spheres and tetrahedrons
+            SCATTER: 0.7,                 // Spread of the particles around their block
+            PARTICLE_SPEED: [1, 4],
+            PARTICLE_LIFESPAN: [0.7, 1.0],
+            SHRINK_DURATION: 0.7          // Seconds for the blocks to shrink away
+        },
+        column: {
+            FLASH_DURATION: 0.5,
+            WAVE: false,
+            RISE: 0.4,                    // Cells the blocks float up while flashing
+            PARTICLES: [6, 9],
+            PARTICLE_SIZE: [0.08, 0.22],
+            PARTICLE_SHAPES: 3,
+            SCATTER: 0.4,
+            PARTICLE_SPEED: [2, 4],
+            PARTICLE_LIFESPAN: [0.6, 0.9],
+            SHRINK_DURATION: 0.6
+        },
+        line: {
+            FLASH_DURATION: 0.4,
+            WAVE: false,
+            PARTICLES: [4, 6],
+            PARTICLE_SIZE: [0.08, 0.2],
+            PARTICLE_SHAPES: 2,           // Boxes and spheres
+            SCATTER: 0.5,
+            PARTICLE_SPEED: [1, 3],
+            PARTICLE_LIFESPAN: [0.5, 0.7],
+            SHRINK_DURATION: 0.5
+        }
+    },
+    
+    // Power-up blocks: one is dealt every MIN_INTERVAL to MAX_INTERVAL placed
+    // blocks, its type drawn by weight. Each type is plain data: the shape it
+    // comes in, its look, sound and scoring, and the effect it triggers when it
+    // lands (effects are in js/powerups.js). Score: base + perCell * cells affected
+    POWER_UPS: {
+        MIN_INTERVAL: 15,         // Minimum blocks between power-ups
+        MAX_INTERVAL: 20,         // Maximum blocks between power-ups
+        TYPES: [
+            {
+                id: 'bomb', name: 'Bomb', effect: 'bomb', weight: 3,
+                shape: 'M1', color: 0x333333, edgeColor: 0xff3300, emissive: 0x440000,
+                radius: 1,        // Clears the (2 * radius + 1)^3 cube around where it lands
+                score: { base: 50, perCell: 10 },
+                sound: { wave: 'square', from: 120, to: 30, duration: 0.6 },
+                flash: 'rgba(255, 80, 0, 0.3)'
+            },
+            {
+                id: 'drill', name: 'Drill', effect: 'drill', weight: 3,
+                shape: 'M1', color: 0xc0c0c0, edgeColor: 0xff8800, emissive: 0x222222,
+                score: { base: 30, perCell: 10 },   // Bores out its column down to the floor
+                sound: { wave: 'sawtooth', from: 900, to: 200, duration: 0.4 },
+                flash: 'rgba(255, 160, 0, 0.2)'
+            },
+            {
+                id: 'freeze', name: 'Freeze', effect: 'freeze', weight: 2,
+                shape: 'I3', color: 0xaaddff, edgeColor: 0xffffff, emissive: 0x113355,
+                pieces: 5,        // Blocks placed while the freeze lasts
+                factor: 0.5,      // Fall speed multiplier while it lasts
+                score: { base: 20, perCell: 0 },
+                sound: { wave: 'sine', from: 1200, to: 600, duration: 0.5 },
+                flash: 'rgba(120, 200, 255, 0.3)'
+            },
+            {
+                id: 'painter', name: 'Painter', effect: 'painter', weight: 2,
+                shape: 'L3', color: 0xffffff, edgeColor: 0xff66cc, emissive: 0x330022,
+                score: { base: 10, perCell: 5 },    // Paints its neighbors their most common color
+                sound: { wave: 'triangle', from: 500, to: 1000, duration: 0.3 },
+                flash: 'rgba(255, 100, 200, 0.2)'
+            },
+            {
+                id: 'filler', name: 'Filler', effect: 'filler', weight: 2,
+                shape: 'M1', color: 0xfff5cc, edgeColor: 0x00ff99, emissive: 0x223322,
+                score: { base: 40, perCell: 0 },    // Moves into the deepest covered hole
+                sound: { wave: 'sine', from: 300, to: 800, duration: 0.25 },
+                flash: 'rgba(0, 255, 150, 0.2)'
+            }
+        ]
     },
     
     // Starfield background settings
@@ -68,6 +68,11 @@ class Controls {
                 if (event.code === 'Space') {
                     this.game.dropBlock();
                 }
+                
+                // Hold
+                if (event.code === 'KeyC' || event.code === 'ShiftLeft' || event.code === 'ShiftRight') {
+                    this.game.holdBlock();
+                }
             } 
             // Handle game restart when game is over
             else if (event.code === 'Space' && this.game.isGameOver) {
@@ -142,6 +147,13 @@ class Controls {
             // Removed auto-resume as it's handled in main.js
         });
         
+        // Hold button
+        document.getElementById('hold-btn').addEventListener('click', () => {
+            if (!this.game.isPaused && this.game.currentBlock) {
+                this.game.holdBlock();
+            }
+        });
+        
         // Pause button
         document.getElementById('pause-btn').addEventListener('click', () => {
             if (!this.game.isGameOver) {
@@ -0,0 +1,105 @@
+/**
+ * Events - Gameplay event bus for Space Cubes
+ *
+ * Game emits these events; UI extras, stats, achievements or telemetry
+ * subscribe with game.on(name, handler). Payloads:
+ *   blockSpawned     { block, nextBlocks }
+ *   blockMoved       { block, delta: [dx, dy, dz], source: 'player' | 'gravity' }
+ *   blockRotated     { block, axis, angle, kick }  (kick: { offset: [dx, dy, dz], index })
+ *   blockHeld        { block, released }  (released: the block that came out, or the next one)
+ *   blockLanded      { block, positions }
+ *   linesCleared     { total, chain, layers, horizontalLines, verticalLines, columns }
+ *                    (once per chain step; chain counts from 1)
+ *   levelUp          { level }
+ *   specialTriggered { block, effect, cells }  (effect: the CONFIG.POWER_UPS type id, cells: cells affected)
+ *   garbageAdded     { layers, lifted }  (layers: [x, y] holes per layer)
+ *   danger           { inDanger, stackHeight }  (the stack reached or left CONFIG.TOP_OUT.DANGER_HEIGHT)
+ *   paused           { paused }  (emitted on pause and on resume)
+ *   stateChanged     { from, to }  (GAME_STATES values, see js/game-state.js)
+ *   gameOver         { score, level, blocksPlaced, seed, reason }
+ *                    (reason: 'blockOut' | 'lockOut' | 'garbage' | 'matchWon')
+ */
+const GAME_EVENTS = Object.freeze([
+    'blockSpawned',
+    'blockMoved',
+    'blockRotated',
+    'blockHeld',
+    'blockLanded',
+    'linesCleared',
+    'levelUp',
+    'specialTriggered',
+    'garbageAdded',
+    'danger',
+    'paused',
+    'stateChanged',
+    'gameOver'
+]);
+
+/**
+ * EventEmitter - Emitter restricted to a fixed list of event names
+ */
+class EventEmitter {
+    constructor(eventNames) {
+        this.eventNames = eventNames;
+        this.handlers = {};
+        eventNames.forEach(name => { this.handlers[name] = []; });
+    }
+
+    /**
+     * Reject event names that are not part of the list (catches typos early)
+     */
+    checkEventName(name) {
+        if (!this.eventNames.includes(name)) {
+            throw new Error(`Unknown event: ${name}`);
+        }
+    }
+
+    /**
+     * Subscribe to an event. Returns a function that unsubscribes again.
+     */
+    on(name, handler) {
+        this.checkEventName(name);
+        this.handlers[name].push(handler);
+        return () => this.off(name, handler);
+    }
+
+    /**
+     * Subscribe to the next occurrence of an event only
+     */
+    once(name, handler) {
+        const off = this.on(name, (payload) => {
+            off();
+            handler(payload);
+        });
+        return off;
+    }
+
+    /**
+     * Unsubscribe from an event
+     */
+    off(name, handler) {
+        this.checkEventName(name);
+        this.handlers[name] = this.handlers[name].filter(h => h !== handler);
+    }
+
+    /**
+     * Emit an event to all subscribers
+     */
+    emit(name, payload = {}) {
+        this.checkEventName(name);
+
+        // Copy so handlers may unsubscribe while being called
+        for (const handler of [...this.handlers[name]]) {
+            try {
+                handler(payload);
+            } catch (error) {
+                // A broken listener must never break the game itself
+                console.error(`Error in ${name} listener:`, error);
+            }
+        }
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { GAME_EVENTS, EventEmitter };
+}
@@ -0,0 +1,168 @@
+/**
+ * Game state - The phases a run goes through and the inputs each accepts
+ *
+ * A block spawns, falls (turning and dropping with short animations), locks
+ * into the pit and the matches it made clear, possibly in a chain, before the
+ * next block spawns. Welcome and Paused hold the game: play moves on in the
+ * state the game resumes to, so an animation finishing during a pause never
+ * lifts the pause. Game over ends the run until it is restarted.
+ */
+const GAME_STATES = Object.freeze({
+    WELCOME: 'welcome',     // Welcome screen before the first run starts
+    SPAWNING: 'spawning',   // The next block is entering the pit
+    FALLING: 'falling',     // The block falls and can be controlled
+    ROTATING: 'rotating',   // The block turns (short animation)
+    DROPPING: 'dropping',   // The block drops to the bottom (short animation)
+    LOCKING: 'locking',     // The block is placed in the pit and scored
+    CLEARING: 'clearing',   // Matches clear, the stack settles and chains resolve
+    PAUSED: 'paused',       // Held by the player
+    GAME_OVER: 'gameOver'   // The run ended
+});
+
+// States each state may move on to (every state can end in game over).
+// Welcome and Paused return to the state they hold; see resume()
+const GAME_STATE_TRANSITIONS = Object.freeze({
+    [GAME_STATES.WELCOME]: [GAME_STATES.SPAWNING],
+    [GAME_STATES.SPAWNING]: [GAME_STATES.FALLING],
+    [GAME_STATES.FALLING]: [GAME_STATES.ROTATING, GAME_STATES.DROPPING, GAME_STATES.LOCKING,
+        GAME_STATES.SPAWNING, GAME_STATES.PAUSED], // Spawning: the block went to the hold slot
+    [GAME_STATES.ROTATING]: [GAME_STATES.FALLING, GAME_STATES.PAUSED],
+    [GAME_STATES.DROPPING]: [GAME_STATES.LOCKING, GAME_STATES.PAUSED],
+    [GAME_STATES.LOCKING]: [GAME_STATES.CLEARING],
+    [GAME_STATES.CLEARING]: [GAME_STATES.SPAWNING, GAME_STATES.PAUSED],
+    [GAME_STATES.PAUSED]: [],
+    [GAME_STATES.GAME_OVER]: []
+});
+
+// Player inputs each state accepts: 'move', 'rotate', 'drop', 'hold',
+// 'pause', 'resume' and 'restart'
+const GAME_STATE_INPUTS = Object.freeze({
+    [GAME_STATES.WELCOME]: ['resume'],
+    [GAME_STATES.SPAWNING]: [],
+    [GAME_STATES.FALLING]: ['move', 'rotate', 'drop', 'hold', 'pause'],
+    [GAME_STATES.ROTATING]: ['pause'],
+    [GAME_STATES.DROPPING]: ['pause'],
+    [GAME_STATES.LOCKING]: [],
+    [GAME_STATES.CLEARING]: ['pause'],
+    [GAME_STATES.PAUSED]: ['resume'],
+    [GAME_STATES.GAME_OVER]: ['restart']
+});
+
+/**
+ * GameStateMachine - Current state of a run with checked transitions
+ */
+class GameStateMachine {
+    constructor(onChange = null) {
+        this.state = GAME_STATES.WELCOME;
+        this.resumeState = null;  // State play continues in while Welcome or Paused hold it
+        this.onChange = onChange; // Called with (from, to) after each change
+    }
+
+    /**
+     * Check whether the machine is in one of the given states
+     */
+    is(...states) {
+        return states.includes(this.state);
+    }
+
+    /**
+     * Check whether the game is held by the welcome screen or a pause
+     */
+    isSuspended() {
+        return this.is(GAME_STATES.WELCOME, GAME_STATES.PAUSED);
+    }
+
+    /**
+     * State play is in: the current one, or the one a pause will resume to
+     */
+    getPlayState() {
+        return this.isSuspended() ? (this.resumeState || this.state) : this.state;
+    }
+
+    /**
+     * Check whether the current state accepts a player input
+     */
+    accepts(input) {
+        return GAME_STATE_INPUTS[this.state].includes(input);
+    }
+
+    /**
+     * Check whether one state may move on to another
+     */
+    static canTransition(from, to) {
+        return to === GAME_STATES.GAME_OVER || GAME_STATE_TRANSITIONS[from].includes(to);
+    }
+
+    /**
+     * Move play on to another state. While the game is held the state it
+     * resumes to moves on instead, so the hold stays in place.
+     * Throws on a transition the table does not allow
+     */
+    advance(to) {
+        const from = this.getPlayState();
+        if (!GameStateMachine.canTransition(from, to)) {
+            throw new Error(`Invalid game state transition: ${from} -> ${to}`);
+        }
+
+        if (this.isSuspended()) {
+            this.resumeState = to;
+        } else {
+            this.setState(to);
+        }
+    }
+
+    /**
+     * Pause a running game; returns false if there is nothing to pause
+     */
+    pause() {
+        if (!this.accepts('pause')) return false;
+
+        this.resumeState = this.state;
+        this.setState(GAME_STATES.PAUSED);
+        return true;
+    }
+
+    /**
+     * Continue in the state the welcome screen or pause held; returns false if not held
+     */
+    resume() {
+        if (!this.accepts('resume') || this.resumeState === null) return false;
+
+        const state = this.resumeState;
+        this.resumeState = null;
+        this.setState(state);
+        return true;
+    }
+
+    /**
+     * End the run, from any state
+     */
+    end() {
+        this.resumeState = null;
+        this.setState(GAME_STATES.GAME_OVER);
+    }
+
+    /**
+     * Start over in the given state (a new or restored run), optionally held
+     * with the state to resume to
+     */
+    reset(state, resumeState = null) {
+        this.resumeState = resumeState;
+        this.setState(state);
+    }
+
+    /**
+     * Change the state and tell the listener
+     */
+    setState(state) {
+        const from = this.state;
+        this.state = state;
+        if (this.onChange && from !== state) {
+            this.onChange(from, state);
+        }
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { GAME_STATES, GAME_STATE_TRANSITIONS, GAME_STATE_INPUTS, GameStateMachine };
+}
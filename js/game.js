@@ -1,39 +1,63 @@
 /**
  * Game - Main game logic for Space Cubes
  */
+const GARBAGE_SEED_MASK = 0x9E3779B9; // Separates the garbage hole sequence from the piece sequence
+
 class Game {
     constructor() {
         // Game properties
         this.score = 0;
         this.level = 1;
         this.fallSpeed = CONFIG.INITIAL_FALL_SPEED;
-        this.isPaused = true;
-        this.isGameOver = false;
         this.layersCleared = 0; // Track layers cleared for sound effects
         this.displacementTracking = { x: 0, y: 0, z: 0 }; // Track displacement during rotations
         this.blocksPlaced = 0; // Track total blocks placed
         
+        // Seed for all gameplay randomness (a ?seed= URL parameter pins it)
+        this.fixedSeed = SeededRandom.seedFromUrl();
+        this.seed = this.createRunSeed();
+        
+        // Simulation tick and replay of the current run
+        this.tick = 0;
+        this.recorder = null; // Created with the pit below
+        this.replayPlayer = null; // Set while a recorded replay is playing back
+        this.restartTimer = null; // Pending restart after a game over
+        
+        // Garbage layers, e.g. sent by a versus opponent
+        this.garbageRandom = new SeededRandom(this.seed ^ GARBAGE_SEED_MASK);
+        this.incomingGarbage = []; // Attacks received but not yet accepted (layer counts)
+        this.multiplayer = null;   // Set by the versus client once installed
+        
+        // Create the pit in the chosen size; the scene is fitted to it
+        const pitSize = Settings.getPitPreset();
+        this.inDanger = false; // Stack at the danger height
+        this.gravityMode = Settings.getGravityMode(); // How the stack closes up after clears
+        this.pit = this.createPit(pitSize);
+        
         // Create Three.js scene
         this.setupScene();
-        
-        // Create game objects
-        this.pit = new Pit(
-            CONFIG.PIT_WIDTH,
-            CONFIG.PIT_DEPTH,
-            CONFIG.PIT_HEIGHT
-        );
         this.gameContainer.add(this.pit.mesh);
         
+        // Shapes come from the chosen shape set
+        this.shapeSet = Settings.getShapeSet();
+        
+        // Replays also record the pit size and shape set
+        this.recorder = this.createRecorder();
+        
         // Create polycube generator
-        this.polycubeGenerator = new PolycubeGenerator();
+        this.polycubeGenerator = this.createGenerator();
         
         // Current and next blocks
         this.currentBlock = null;
         this.nextBlocks = [];
+        this.heldBlock = null; // Block in the hold slot
+        this.holdUsed = false; // Only one hold per spawned block
         
         // Animation properties
         this.lastFrameTime = 0;
-        this.accumulatedTime = 0;
+        this.frameAccumulator = 0; // Frame time not yet simulated
+        this.accumulatedTime = 0;  // Time towards the next gravity step
+        this.slowDown = null; // Freeze power-up: { pieces, factor } while gravity is slowed
         this.rotationAnimation = null;
         this.dropAnimation = null;
         
@@ -41,6 +65,13 @@ class Game {
         this.ui = null;
         this.controls = null;
         
+        // Gameplay events and the plugins listening to them
+        this.events = new EventEmitter(GAME_EVENTS);
+        this.plugins = [];
+        
+        // Phase of the run (see js/game-state.js); starts on the welcome screen
+        this.states = new GameStateMachine((from, to) => this.events.emit('stateChanged', { from, to }));
+        
         // Audio elements
         this.setupAudio();
         
@@ -51,7 +82,8 @@ class Game {
         this.background = new DynamicBackground(this.scene);
         
         // Initialize block queue
-        this.generateNextBlocks(3); // Generate 3 blocks initially
+        this.queueLength = Settings.getQueueLength(); // Upcoming blocks shown (0-6)
+        this.generateNextBlocks(this.queueLength);
 
         // Handle WebGL context loss
         this.renderer.domElement.addEventListener('webglcontextlost', (event) => {
@@ -60,6 +92,39 @@ class Game {
         }, false);
     }
     
+    /**
+     * Pick the seed for a new run
+     */
+    createRunSeed() {
+        return this.fixedSeed !== null ? this.fixedSeed : SeededRandom.createSeed();
+    }
+    
+    /**
+     * Create the piece generator for the current seed and shape set
+     */
+    createGenerator() {
+        return new PolycubeGenerator(new SeededRandom(this.seed), this.shapeSet);
+    }
+    
+    /**
+     * Create a replay recorder for the current run
+     */
+    createRecorder() {
+        return new ReplayRecorder(this.seed, this.getPitSize(), this.shapeSet.id, this.shapeSet.shapes, this.queueLength,
+            this.gravityMode.id);
+    }
+
+    /**
+     * Find the shape set of a replay or saved run; custom sets bring their own
+     * shapes, since the player may have edited theirs since
+     */
+    findShapeSet(id, shapes) {
+        if (id === CUSTOM_SHAPE_SET_ID && shapes) {
+            return CustomShapes.createShapeSet(shapes);
+        }
+        return Settings.findShapeSet(id);
+    }
+
     /**
      * Set up Three.js scene, camera, and renderer
      */
@@ -74,9 +139,9 @@ class Game {
         );
         
         // Position camera directly above the center of the pit
-        const centerX = CONFIG.PIT_WIDTH / 2;
-        const centerY = CONFIG.PIT_DEPTH / 2;
-        const cameraHeight = CONFIG.PIT_HEIGHT * 1.5; // High enough to see the entire pit
+        const centerX = this.pit.width / 2;
+        const centerY = this.pit.depth / 2;
+        const cameraHeight = this.pit.height * 1.5; // High enough to see the entire pit
         
         this.camera.position.set(centerX, centerY, cameraHeight);
         this.camera.lookAt(centerX, centerY, 0); // Look straight down to the bottom
@@ -108,24 +173,21 @@ class Game {
         this.scene.add(ambientLight);
         
         // Main directional light from above
-        const directionalLight = new THREE.DirectionalLight(0xffffff, 0.8);
-        directionalLight.position.set(centerX, centerY, cameraHeight);
-        directionalLight.target.position.set(centerX, centerY, 0);
-        this.scene.add(directionalLight);
-        this.scene.add(directionalLight.target);
+        this.directionalLight = new THREE.DirectionalLight(0xffffff, 0.8);
+        this.scene.add(this.directionalLight);
+        this.scene.add(this.directionalLight.target);
         
         // Add some angled lights for better shape definition
-        const sideLight1 = new THREE.DirectionalLight(0xffffff, 0.4);
-        sideLight1.position.set(centerX + 10, centerY, cameraHeight / 2);
-        sideLight1.target.position.set(centerX, centerY, 0);
-        this.scene.add(sideLight1);
-        this.scene.add(sideLight1.target);
-        
-        const sideLight2 = new THREE.DirectionalLight(0xffffff, 0.4);
-        sideLight2.position.set(centerX, centerY + 10, cameraHeight / 2);
-        sideLight2.target.position.set(centerX, centerY, 0);
-        this.scene.add(sideLight2);
-        this.scene.add(sideLight2.target);
+        this.sideLight1 = new THREE.DirectionalLight(0xffffff, 0.4);
+        this.scene.add(this.sideLight1);
+        this.scene.add(this.sideLight1.target);
+        
+        this.sideLight2 = new THREE.DirectionalLight(0xffffff, 0.4);
+        this.scene.add(this.sideLight2);
+        this.scene.add(this.sideLight2.target);
+        
+        // Aim the lights at the pit
+        this.positionLights();
         
         // Initial camera adjustment for current window size
         this.adjustCameraForWindowSize();
@@ -151,14 +213,103 @@ class Game {
         });
     }
     
+    /**
+     * Point the lights at the center of the pit
+     */
+    positionLights() {
+        const centerX = this.pit.width / 2;
+        const centerY = this.pit.depth / 2;
+        const lightHeight = this.pit.height * 1.5;
+        
+        this.directionalLight.position.set(centerX, centerY, lightHeight);
+        this.directionalLight.target.position.set(centerX, centerY, 0);
+        
+        this.sideLight1.position.set(centerX + 10, centerY, lightHeight / 2);
+        this.sideLight1.target.position.set(centerX, centerY, 0);
+        
+        this.sideLight2.position.set(centerX, centerY + 10, lightHeight / 2);
+        this.sideLight2.target.position.set(centerX, centerY, 0);
+    }
+    
+    /**
+     * Create a pit with the current gravity mode and watch its stack height
+     */
+    createPit({ width, depth, height }) {
+        const pit = new Pit(width, depth, height);
+        pit.model.setGravity(this.gravityMode.gravity, this.gravityMode.connectivity);
+        pit.model.addListener(() => {
+            this.updateDanger();
+            this.updateColumn();
+        });
+        return pit;
+    }
+    
+    /**
+     * Switch between the classic and cascade gravity rules
+     * Callers restart or restore a run afterwards
+     */
+    setGravityMode(mode) {
+        this.gravityMode = mode;
+        this.pit.model.setGravity(mode.gravity, mode.connectivity);
+    }
+    
+    /**
+     * Warn when the stack reaches the danger height, and when it drops again
+     */
+    updateDanger() {
+        const inDanger = this.pit.isInDanger();
+        if (inDanger === this.inDanger) return;
+        
+        this.inDanger = inDanger;
+        if (this.ui) {
+            this.ui.showDanger(inDanger);
+        }
+        this.events.emit('danger', { inDanger, stackHeight: this.pit.getStackHeight() });
+    }
+    
+    /**
+     * Show the tallest same-color column in the HUD
+     */
+    updateColumn() {
+        if (!this.ui) return;
+        
+        const { height, color } = this.pit.model.getTallestColumn();
+        this.ui.updateColumn(height, color, this.pit.model.getColumnClearHeight());
+    }
+    
+    /**
+     * Get the size of the current pit
+     */
+    getPitSize() {
+        return { width: this.pit.width, depth: this.pit.depth, height: this.pit.height };
+    }
+    
+    /**
+     * Replace the pit with an empty one of another size and refit the scene
+     * Callers restart or restore a run afterwards
+     */
+    resizePit({ width, depth, height }) {
+        if (this.pit.width === width && this.pit.depth === depth && this.pit.height === height) {
+            return;
+        }
+        
+        this.pit.cancelAnimations();
+        this.gameContainer.remove(this.pit.mesh);
+        this.pit = this.createPit({ width, depth, height });
+        this.gameContainer.add(this.pit.mesh);
+        
+        this.positionLights();
+        this.adjustCameraForWindowSize();
+    }
+    
     /**
      * Adjust camera parameters based on window size to keep pit fully visible
      */
     adjustCameraForWindowSize() {
         // Get pit dimensions
-        const pitWidth = CONFIG.PIT_WIDTH;
-        const pitDepth = CONFIG.PIT_DEPTH;
-        const pitHeight = CONFIG.PIT_HEIGHT;
+        const pitWidth = this.pit.width;
+        const pitDepth = this.pit.depth;
+        const pitHeight = this.pit.height;
         
         // Get center of pit
         const centerX = pitWidth / 2;
@@ -437,15 +588,67 @@ class Game {
         };
     }
     
+    /**
+     * Register a plugin that every game installs when it initializes.
+     * A plugin is an object { name, install(game) } that subscribes to game events.
+     */
+    static registerPlugin(plugin) {
+        Game.registeredPlugins.push(plugin);
+    }
+    
+    /**
+     * Install a plugin on this game
+     */
+    use(plugin) {
+        if (this.plugins.includes(plugin)) return;
+        
+        this.plugins.push(plugin);
+        plugin.install(this);
+    }
+    
+    /**
+     * Subscribe to a gameplay event (see events.js). Returns an unsubscribe function.
+     */
+    on(name, handler) {
+        return this.events.on(name, handler);
+    }
+    
+    /**
+     * Unsubscribe from a gameplay event
+     */
+    off(name, handler) {
+        this.events.off(name, handler);
+    }
+    
+    /**
+     * Whether the game is held: on the welcome screen, paused or over
+     */
+    get isPaused() {
+        return this.states.isSuspended() || this.isGameOver;
+    }
+    
+    /**
+     * Whether the run has ended
+     */
+    get isGameOver() {
+        return this.states.is(GAME_STATES.GAME_OVER);
+    }
+    
     /**
      * Initialize UI, controls, and multiplayer
      */
     initialize() {
         this.ui = new UI(this);
+        this.updateColumn();
         this.controls = new Controls(this);
         
-        // Generate the first block
+        // Install plugins before the first block spawns so they see it
+        Game.registeredPlugins.forEach(plugin => this.use(plugin));
+        
+        // Generate the first block; it falls once the welcome screen is left
+        this.states.advance(GAME_STATES.SPAWNING);
         this.spawnBlock();
+        this.background.setActive(false);
         
         // Start animation loop
         this.animate(0);
@@ -472,7 +675,7 @@ class Game {
      */
     animate(currentTime) {
         // Calculate delta time
-        const deltaTime = (currentTime - this.lastFrameTime) / 1000;
+        const deltaTime = Math.max(0, (currentTime - this.lastFrameTime) / 1000);
         this.lastFrameTime = currentTime;
         
         // Always update background, regardless of game state
@@ -480,35 +683,20 @@ class Game {
             this.background.update(deltaTime);
         }
         
-        // Handle rotation animation even if paused
-        if (this.rotationAnimation) {
-            this.updateRotationAnimation(deltaTime);
-            this.renderer.render(this.scene, this.camera);
-            requestAnimationFrame((time) => this.animate(time));
-            return;
-        }
-        
-        // Handle drop animation even if paused
-        if (this.dropAnimation) {
-            this.updateDropAnimation(deltaTime);
-            this.renderer.render(this.scene, this.camera);
-            requestAnimationFrame((time) => this.animate(time));
-            return;
+        // Run the simulation in fixed ticks, carrying the remainder to the next frame.
+        // Long frames (e.g. the tab was inactive) only catch up a limited amount.
+        const tickDuration = 1 / CONFIG.TICK_RATE;
+        this.frameAccumulator += Math.min(deltaTime, CONFIG.MAX_FRAME_TIME);
+        while (this.frameAccumulator >= tickDuration) {
+            this.step(tickDuration);
+            this.frameAccumulator -= tickDuration;
         }
         
-        // Don't update if paused or delta time is too large (tab was inactive)
-        if (this.isPaused || deltaTime > 0.2) {
-            // Still render the scene when paused (but not during initialization)
-            if (this.currentBlock && this.currentBlock.mesh) {
-                this.renderer.render(this.scene, this.camera);
-            }
-            requestAnimationFrame((time) => this.animate(time));
-            return;
+        // Draw the falling block between its last two simulated positions
+        if (this.currentBlock) {
+            this.currentBlock.updateMeshInterpolated(this.frameAccumulator / tickDuration);
         }
         
-        // Update game state
-        this.update(deltaTime);
-        
         // Render scene
         this.renderer.render(this.scene, this.camera);
         
@@ -516,6 +704,29 @@ class Game {
         requestAnimationFrame((time) => this.animate(time));
     }
     
+    /**
+     * Advance the simulation by one fixed tick
+     */
+    step(tickDuration) {
+        // Remember where the block was so rendering can interpolate
+        if (this.currentBlock) {
+            this.currentBlock.storePreviousPosition();
+        }
+        
+        // Rotation and drop animations hold still while paused, like gravity
+        switch (this.states.state) {
+            case GAME_STATES.ROTATING:
+                this.updateRotationAnimation(tickDuration);
+                break;
+            case GAME_STATES.DROPPING:
+                this.updateDropAnimation(tickDuration);
+                break;
+            case GAME_STATES.FALLING:
+                this.update(tickDuration);
+                break;
+        }
+    }
+    
     /**
      * Update rotation animation
      */
@@ -531,7 +742,7 @@ class Game {
             this.rotationAnimation = null;
             
             // Enable controls after animation completes
-            this.isPaused = anim.wasPaused;
+            this.states.advance(GAME_STATES.FALLING);
         } else {
             // Animation in progress
             const progress = anim.elapsed / anim.duration;
@@ -568,9 +779,6 @@ class Game {
             this.currentBlock.updateMesh();
             this.dropAnimation = null;
             
-            // Enable controls after animation completes
-            this.isPaused = anim.wasPaused;
-            
             // Land the block
             this.landBlock();
         } else {
@@ -597,38 +805,118 @@ class Game {
      * Update game state
      */
     update(deltaTime) {
-        // If game over, don't update
-        if (this.isGameOver) return;
-        
         // Update controls
         this.controls.update();
         
+        // Feed recorded actions for this tick; wait if one started an animation
+        if (this.replayPlayer && !this.replayPlayer.dispatch(this, this.tick)) return;
+        
+        // Accept attacks on a tick boundary so replays see them at the same moment
+        this.acceptIncomingGarbage();
+        
         // Update current block position (falling)
         if (this.currentBlock) {
-            this.accumulatedTime += deltaTime;
-            
-            // Move block down based on fall speed
-            if (this.accumulatedTime >= 1 / this.fallSpeed) {
-                this.accumulatedTime = 0;
+            // Gravity comes from the recorded events during playback
+            if (!this.replayPlayer) {
+                this.accumulatedTime += deltaTime;
                 
-                // Try to move down
-                const originalPosition = [...this.currentBlock.position];
-                this.currentBlock.move(0, 0, -1);
-                
-                // If can't move down, it has landed
-                if (!this.pit.canPlacePolycube(this.currentBlock)) {
-                    // Move back to original position
-                    this.currentBlock.position = originalPosition;
-                    this.currentBlock.updateMesh();
-                    
-                    // Place block in pit
-                    this.landBlock();
+                // Move block down based on fall speed, keeping the remainder
+                const gravityInterval = 1 / this.getFallSpeed();
+                if (this.accumulatedTime >= gravityInterval) {
+                    this.accumulatedTime -= gravityInterval;
+                    this.recordAction('g');
+                    this.applyGravity();
                 }
             }
             
             // Update the position highlight to show where the block is
-            this.pit.highlightPosition(this.currentBlock);
+            if (this.currentBlock) {
+                this.pit.highlightPosition(this.currentBlock);
+            }
+        }
+        
+        this.tick++;
+    }
+    
+    /**
+     * Current falling speed including any active slow-down
+     */
+    getFallSpeed() {
+        if (this.slowDown) {
+            return this.fallSpeed * this.slowDown.factor;
+        }
+        return this.fallSpeed;
+    }
+    
+    /**
+     * Move the current block down one step, landing it if it can't fall further
+     */
+    applyGravity() {
+        if (!this.currentBlock || this.isGameOver) return;
+        
+        // Try to move down
+        const originalPosition = [...this.currentBlock.position];
+        this.currentBlock.move(0, 0, -1);
+        
+        // If can't move down, it has landed
+        if (!this.pit.canPlacePolycube(this.currentBlock)) {
+            // Move back to original position
+            this.currentBlock.position = originalPosition;
+            this.currentBlock.updateMesh();
+            
+            // Place block in pit
+            this.landBlock();
+            return;
         }
+        
+        this.events.emit('blockMoved', { block: this.currentBlock, delta: [0, 0, -1], source: 'gravity' });
+    }
+    
+    /**
+     * Whether a player input ('move', 'rotate', 'drop', 'hold') may change the game right now
+     */
+    acceptsInput(input) {
+        // During playback only the replay itself may drive the game
+        if (this.replayPlayer && !this.replayPlayer.isDispatching) return false;
+        
+        // Each state has its own inputs (see GAME_STATE_INPUTS)
+        return this.states.accepts(input);
+    }
+    
+    /**
+     * Record a gameplay action for the replay of the current run
+     */
+    recordAction(action, ...args) {
+        // Don't re-record a replay while it is playing back
+        if (this.replayPlayer) return;
+        
+        this.recorder.record(this.tick, action, ...args);
+    }
+    
+    /**
+     * Get the replay of the current run
+     */
+    getReplay() {
+        return this.recorder.toJSON();
+    }
+    
+    /**
+     * Play back a recorded replay through the normal game code path
+     */
+    playReplay(replay) {
+        this.cancelRestartTimer();
+        
+        // Play in the pit and with the shape set the replay was recorded with
+        this.resizePit(replay.pit);
+        // (replays recorded before shape sets existed all used the default set)
+        this.shapeSet = this.findShapeSet(replay.shapeSet, replay.shapes) ||
+            Settings.findShapeSet(SETTINGS_DEFAULTS.shapeSet);
+        // Special blocks come at other times with another queue length, so it must match too
+        this.queueLength = replay.queue !== undefined ? replay.queue : SETTINGS_DEFAULTS.queueLength;
+        // Replays recorded before gravity modes existed all used classic gravity
+        this.setGravityMode(Settings.findGravityMode(replay.gravity) || Settings.findGravityMode('classic'));
+        this.restart(replay.seed);
+        this.replayPlayer = new ReplayPlayer(replay);
     }
     
     /**
@@ -642,70 +930,157 @@ class Game {
     }
     
     /**
-     * Spawn a new block at the top of the pit
+     * Receive an attack of the given number of garbage layers
      */
-    spawnBlock() {
-        // Get the next block from the queue
-        this.currentBlock = this.nextBlocks.shift();
-        
-        // Try different starting positions for the block
-        const startPositions = [
-            // Center position
-            [Math.floor(CONFIG.PIT_WIDTH / 2), Math.floor(CONFIG.PIT_DEPTH / 2), CONFIG.PIT_HEIGHT - 1],
-            // Try offset positions
-            [Math.floor(CONFIG.PIT_WIDTH / 2) - 1, Math.floor(CONFIG.PIT_DEPTH / 2), CONFIG.PIT_HEIGHT - 1],
-            [Math.floor(CONFIG.PIT_WIDTH / 2) + 1, Math.floor(CONFIG.PIT_DEPTH / 2), CONFIG.PIT_HEIGHT - 1],
-            [Math.floor(CONFIG.PIT_WIDTH / 2), Math.floor(CONFIG.PIT_DEPTH / 2) - 1, CONFIG.PIT_HEIGHT - 1],
-            [Math.floor(CONFIG.PIT_WIDTH / 2), Math.floor(CONFIG.PIT_DEPTH / 2) + 1, CONFIG.PIT_HEIGHT - 1]
-        ];
-
-        let canPlace = false;
-        for (const position of startPositions) {
-            this.currentBlock.position = position;
-            if (this.pit.canPlacePolycube(this.currentBlock)) {
-                canPlace = true;
-                break;
+    receiveGarbage(count) {
+        if (this.isGameOver || this.replayPlayer) return;
+        this.incomingGarbage.push(count);
+    }
+    
+    /**
+     * Roll the holes for received attacks and add them to the pit
+     */
+    acceptIncomingGarbage() {
+        // Never shift the stack under a rotating or dropping block
+        if (this.rotationAnimation || this.dropAnimation) return;
+        
+        while (this.incomingGarbage.length > 0 && !this.isGameOver) {
+            const count = this.incomingGarbage.shift();
+            this.addGarbage(this.pit.createGarbageLayers(count, this.garbageRandom));
+        }
+    }
+    
+    /**
+     * Push the stack up and insert garbage layers (lists of [x, y] holes)
+     * The falling block is lifted out of the stack; the game is over when
+     * it can't be, or when settled cubes are pushed out of the pit
+     */
+    addGarbage(layers) {
+        if (layers.length === 0 || this.isGameOver) return;
+        
+        this.recordAction('x', layers);
+        const lostCells = this.pit.insertGarbageLayers(layers);
+        
+        // Lift the falling block by as much as the stack rose, if needed
+        let lifted = 0;
+        if (this.currentBlock) {
+            while (!this.pit.canPlacePolycube(this.currentBlock) && lifted < layers.length) {
+                this.currentBlock.move(0, 0, 1);
+                lifted++;
             }
         }
-
-        // If we couldn't place the block in any position, game is over
-        if (!canPlace) {
-            this.gameOver();
+        
+        this.events.emit('garbageAdded', { layers, lifted });
+        
+        if (lostCells > 0 || (this.currentBlock && !this.pit.canPlacePolycube(this.currentBlock))) {
+            this.gameOver('garbage');
+        } else if (this.currentBlock) {
+            this.pit.highlightPosition(this.currentBlock);
+        }
+    }
+    
+    /**
+     * Spawn a new block at the top of the pit: the next one from the queue,
+     * or the given block (coming out of the hold slot)
+     * Callers enter the Spawning state first; the block then falls
+     */
+    spawnBlock(block = null) {
+        // Get the next block from the queue, generating one to keep it full
+        // (first, so that an empty queue works the same way)
+        const fromQueue = block === null;
+        if (fromQueue) {
+            this.nextBlocks.push(this.polycubeGenerator.generate());
+        }
+        this.currentBlock = fromQueue ? this.nextBlocks.shift() : block;
+        this.holdUsed = false;
+        
+        // Spawn in the normalized orientation, fully inside the pit with the top
+        // cube in the top layer; if even the shifted positions collide, the
+        // block is out and the game is over
+        this.currentBlock.resetOrientation(this.currentBlock.getSpawnOrientation(this.pit));
+        const position = this.pit.getSpawnPosition(this.currentBlock);
+        if (!position) {
+            this.gameOver('blockOut');
             return;
         }
+        this.currentBlock.position = position;
 
         // Create and add mesh to scene AFTER positioning
         const blockMesh = this.currentBlock.createMesh();
         
-        // Generate a new block to maintain the queue
-        const newBlock = this.polycubeGenerator.generate();
-        
-        // Add the new block to the queue
-        this.nextBlocks.push(newBlock);
-        
         // Update UI to show next blocks
-        if (this.ui) {
+        if (fromQueue && this.ui) {
             this.ui.updateNextBlockPreview(this.nextBlocks);
         }
         
+        // A fresh block may be held again
+        if (this.ui) {
+            this.ui.setHoldAvailable(true);
+        }
+        
         // Only add the mesh to the scene after everything else is ready
         this.gameContainer.add(blockMesh);
         
         // Highlight the block's position on the grid walls
         this.pit.highlightPosition(this.currentBlock);
+        
+        this.states.advance(GAME_STATES.FALLING);
+        this.events.emit('blockSpawned', { block: this.currentBlock, nextBlocks: this.nextBlocks });
+    }
+    
+    /**
+     * Swap the current block into the hold slot and bring out the held one
+     * (or the next block if the slot is empty). Once per spawned block.
+     */
+    holdBlock() {
+        if (!this.currentBlock || this.holdUsed || !this.acceptsInput('hold')) return false;
+        
+        this.recordAction('h');
+        
+        // Take the block out of the pit, back in its spawn orientation
+        const block = this.currentBlock;
+        this.gameContainer.remove(block.mesh);
+        block.resetOrientation();
+        block.position = [999, 999, 999];
+        
+        const released = this.heldBlock;
+        this.heldBlock = block;
+        
+        // The released block spawns like any other (and can top out)
+        this.states.advance(GAME_STATES.SPAWNING);
+        this.spawnBlock(released);
+        this.holdUsed = true;
+        
+        if (this.ui) {
+            this.ui.updateHoldPreview(this.heldBlock);
+            this.ui.setHoldAvailable(false);
+        }
+        this.events.emit('blockHeld', { block: this.heldBlock, released: this.currentBlock });
+        return true;
     }
     
     /**
      * Land the current block and handle scoring
      */
     landBlock() {
+        this.states.advance(GAME_STATES.LOCKING);
+        
         // Play sound
         if (this.sounds.land) {
             this.sounds.land();
         }
         
         // Place the block in the pit
-        this.pit.placePolycube(this.currentBlock);
+        const positions = this.currentBlock.getWorldPositions();
+        this.pit.placePolycube(this.currentBlock, this.tick);
+        this.events.emit('blockLanded', { block: this.currentBlock, positions });
+        
+        // A block locked in the rim tops out (see CONFIG.TOP_OUT.LOCK_OUT)
+        if (this.pit.isLockOut(positions)) {
+            this.gameContainer.remove(this.currentBlock.mesh);
+            this.gameOver('lockOut');
+            return;
+        }
         
         // Remove the block's mesh from the game container
         this.gameContainer.remove(this.currentBlock.mesh);
@@ -724,16 +1099,39 @@ class Game {
         
         // Increment special block counter only when a block is placed
         this.polycubeGenerator.blocksSinceLastSpecial++;
-        console.log('Blocks since last special:', this.polycubeGenerator.blocksSinceLastSpecial, 'Next special in:', this.polycubeGenerator.nextSpecialBlockInterval);
         
-        // Handle special block effect
-        this.handleSpecialBlockEffect();
+        // A freeze lasts a number of placed blocks (not counting its own)
+        if (this.slowDown && --this.slowDown.pieces <= 0) {
+            this.slowDown = null;
+        }
+        
+        // Trigger the effect of a power-up block
+        this.handlePowerUp(positions);
         
-        // Check for completed lines and layers
-        const layersCleared = this.pit.checkAndClearLinesAndLayers((clearedCount) => {
-            // Calculate score for cleared lines and layers
-            const layerScore = CONFIG.POINTS_PER_LAYER * clearedCount * (clearedCount + 1) / 2;
-            this.addScore(layerScore);
+        // The block is part of the pit now; the next one spawns once the clears are done
+        this.currentBlock = null;
+        this.states.advance(GAME_STATES.CLEARING);
+        
+        // Clear every match at once, then keep going while the collapse makes
+        // new ones; each step of the chain scores with a growing multiplier
+        const layersCleared = this.pit.resolveMatches(({ chain, total, breakdown }) => {
+            this.events.emit('linesCleared', { total, chain, ...breakdown });
+            
+            // Calculate score for the step's lines and layers, columns score on their own
+            const multipliers = CONFIG.CHAIN_MULTIPLIERS;
+            const multiplier = multipliers[Math.min(chain, multipliers.length) - 1];
+            const lines = total - breakdown.columns;
+            const points = CONFIG.POINTS_PER_LAYER * lines * (lines + 1) / 2 + CONFIG.POINTS_PER_COLUMN * breakdown.columns;
+            this.addScore(points * multiplier);
+            
+            // Chain reactions get their own sound and callout
+            if (chain > 1) {
+                if (this.sounds.clear) this.sounds.clear();
+                if (this.ui) this.ui.showChain(chain, multiplier);
+            }
+        }, () => {
+            // The run may have ended or restarted while the clears animated
+            if (this.states.getPlayState() !== GAME_STATES.CLEARING) return;
             
             // Check if the pit is completely empty after clearing
             if (this.pit.isPitEmpty()) {
@@ -743,6 +1141,10 @@ class Game {
                 // Play special effect for pit clear
                 this.playPitClearEffect();
             }
+            
+            // Spawn a new block (a pause during the clears stays in place)
+            this.states.advance(GAME_STATES.SPAWNING);
+            this.spawnBlock();
         });
         
         // Store the expected number of lines/layers to be cleared
@@ -752,93 +1154,73 @@ class Game {
         if (layersCleared > 0 && this.sounds.clear) {
             this.sounds.clear();
         }
-        
-        // Spawn a new block
-        this.spawnBlock();
     }
     
     /**
-     * Handle special block effect
+     * Trigger the effect of the current block if it is a power-up (see js/powerups.js)
      */
-    handleSpecialBlockEffect() {
-        // Only proceed if this is actually a special block
-        if (!this.currentBlock.isSpecial) {
-            return;
-        }
+    handlePowerUp(positions) {
+        const type = PowerUps.get(this.currentBlock.powerUp);
+        if (!type) return;
         
-        console.log('Special block effect triggered!');
+        const result = PowerUps.trigger(this.pit.model, type, positions);
+        if (result.slowDown) {
+            this.slowDown = { ...result.slowDown };
+        }
         
-        // Get the positions of all blocks in the special block
-        const positions = this.currentBlock.getWorldPositions();
+        this.events.emit('specialTriggered', { block: this.currentBlock, effect: type.id, cells: result.cells });
         
-        // Check if any part of the block is below the top layer
-        const isPartiallyInHole = positions.some(([x, y, z]) => z < CONFIG.PIT_HEIGHT - 1);
-        
-        if (isPartiallyInHole) {
-            console.log('Special block is partially in a hole, clearing bottom layer');
-            // Clear the bottom layer (z = 0)
-            this.pit.clearLayerWithAnimation(0, () => {
-                // Add bonus points for using special block effect
-                this.addScore(CONFIG.POINTS_PER_LAYER);
-                // Play the clear layer sound effect
-                if (this.sounds.clear) {
-                    this.sounds.clear();
-                }
-                // Remove the special block from the pit
-                positions.forEach(([x, y, z]) => {
-                    this.pit.grid[x][y][z] = null;
-                });
-                this.pit.updateVisualBlocks();
-            });
-        } else {
-            console.log('Special block is entirely on top layer, applying penalties');
-            
-            // 1. Score Penalty: Deduct points
-            this.addScore(-CONFIG.POINTS_PER_BLOCK * 2);
-            
-            // 2. Speed Penalty: Temporarily slow down the game
-            const originalSpeed = this.fallSpeed;
-            this.fallSpeed *= 0.7; // 30% slower
-            setTimeout(() => {
-                this.fallSpeed = originalSpeed;
-            }, 5000); // Return to normal speed after 5 seconds
-            
-            // 3. Visual Penalty: Flash the screen red briefly
-            const flashOverlay = document.createElement('div');
-            flashOverlay.style.position = 'fixed';
-            flashOverlay.style.top = '0';
-            flashOverlay.style.left = '0';
-            flashOverlay.style.width = '100%';
-            flashOverlay.style.height = '100%';
-            flashOverlay.style.backgroundColor = 'rgba(255, 0, 0, 0.3)';
-            flashOverlay.style.zIndex = '1000';
-            flashOverlay.style.pointerEvents = 'none';
-            document.body.appendChild(flashOverlay);
-            
-            // Remove the flash after 500ms
-            setTimeout(() => {
-                document.body.removeChild(flashOverlay);
-            }, 500);
-            
-            // 4. Sound Penalty: Play a negative sound effect
-            const context = this.audioContext;
-            const osc = context.createOscillator();
-            const gain = context.createGain();
-            
-            osc.type = 'sawtooth';
-            osc.frequency.value = 100;
-            gain.gain.value = this.sfxVolume * 0.5;
-            
-            osc.connect(gain);
-            gain.connect(context.destination);
-            
-            osc.start();
-            osc.frequency.exponentialRampToValueAtTime(50, context.currentTime + 0.3);
-            gain.gain.exponentialRampToValueAtTime(0.001, context.currentTime + 0.3);
-            osc.stop(context.currentTime + 0.3);
+        // Scoring, sound and look all come from the type's data
+        this.addScore(type.score.base + type.score.perCell * result.cells);
+        this.playTone(type.sound);
+        this.flashScreen(type.flash);
+        if (this.ui) {
+            this.ui.showPowerUp(type);
         }
     }
     
+    /**
+     * Play a synthesized sound described as data: { wave, from, to, duration }
+     */
+    playTone({ wave, from, to, duration }) {
+        const context = this.audioContext;
+        const osc = context.createOscillator();
+        const gain = context.createGain();
+        
+        osc.type = wave;
+        osc.frequency.value = from;
+        gain.gain.value = this.sfxVolume * 0.5;
+        
+        osc.connect(gain);
+        gain.connect(context.destination);
+        
+        osc.start();
+        osc.frequency.exponentialRampToValueAtTime(to, context.currentTime + duration);
+        gain.gain.exponentialRampToValueAtTime(0.001, context.currentTime + duration);
+        osc.stop(context.currentTime + duration);
+    }
+    
+    /**
+     * Flash the screen briefly in a CSS color
+     */
+    flashScreen(color) {
+        const flashOverlay = document.createElement('div');
+        flashOverlay.style.position = 'fixed';
+        flashOverlay.style.top = '0';
+        flashOverlay.style.left = '0';
+        flashOverlay.style.width = '100%';
+        flashOverlay.style.height = '100%';
+        flashOverlay.style.backgroundColor = color;
+        flashOverlay.style.zIndex = '1000';
+        flashOverlay.style.pointerEvents = 'none';
+        document.body.appendChild(flashOverlay);
+        
+        // Remove the flash after 500ms
+        setTimeout(() => {
+            document.body.removeChild(flashOverlay);
+        }, 500);
+    }
+    
     /**
      * Play a special effect when the player clears the entire pit
      */
@@ -1169,13 +1551,15 @@ class Game {
         
         // Update polycube generator to add more complex shapes
         this.polycubeGenerator.updateLevel(this.level);
+        
+        this.events.emit('levelUp', { level: this.level });
     }
     
     /**
      * Move the current block
      */
     moveBlock(dx, dy, dz) {
-        if (!this.currentBlock || this.isPaused) return;
+        if (!this.currentBlock || !this.acceptsInput('move')) return;
         
         // Store original position
         const originalPosition = [...this.currentBlock.position];
@@ -1194,6 +1578,9 @@ class Game {
         // Update position highlighting
         this.pit.highlightPosition(this.currentBlock);
         
+        this.recordAction('m', dx, dy, dz);
+        this.events.emit('blockMoved', { block: this.currentBlock, delta: [dx, dy, dz], source: 'player' });
+        
         // Play sound
         if (this.sounds.move) {
             this.sounds.move();
@@ -1203,130 +1590,96 @@ class Game {
     }
     
     /**
-     * Rotate the current block
+     * Rotate the current block, kicking it aside if the turn collides
+     * Returns { offset, index } of the kick used ([0, 0, 0] and 0 when it
+     * turned in place), or null if the block could not turn
      */
     rotateBlock(axis, angle) {
-        if (!this.currentBlock || this.isPaused || this.rotationAnimation) return;
+        if (!this.currentBlock || !this.acceptsInput('rotate')) return null;
         
-        // Store original rotation and position
+        // Store original orientation, rotation and position
+        const originalOrientation = this.currentBlock.orientation.slice();
         const originalRotation = this.currentBlock.rotation.clone();
         const originalPosition = [...this.currentBlock.position];
+        const originalOffset = this.currentBlock.getPivotOffset();
         
-        // Create a quaternion for the target rotation
-        const q = new THREE.Quaternion();
-        q.setFromAxisAngle(new THREE.Vector3(...axis), angle);
+        // The axis is in the block's frame; kicks depend on the world axis it turns around
+        const worldAxis = PolycubeModel.transform(originalOrientation, axis);
+        const axisName = ['x', 'y', 'z'][worldAxis.findIndex(v => v !== 0)];
+        const kickTable = CONFIG.ROTATION.KICKS[this.currentBlock.kickClass] || CONFIG.ROTATION.KICKS.standard;
         
-        // Calculate target rotation
-        const targetRotation = originalRotation.clone().multiply(q);
+        // Rotate the model to find the target orientation
+        this.currentBlock.rotate(axis, angle);
+        const targetRotation = this.currentBlock.rotation.clone();
         
-        // Try different positions for wall kick
-        // Start with no offset, then try single unit offsets in all directions,
-        // then try combinations, and finally try two unit offsets
-        const kickOffsets = [
-            // No offset
-            [0, 0, 0],
-            
-            // Single unit offsets in all directions
-            [1, 0, 0],   // Right
-            [-1, 0, 0],  // Left
-            [0, 1, 0],   // Forward
-            [0, -1, 0],  // Backward
-            [0, 0, 1],   // Up
-            [0, 0, -1],  // Down
-            
-            // Diagonal single unit offsets (horizontal)
-            [1, 1, 0],   // Right + Forward
-            [-1, 1, 0],  // Left + Forward
-            [1, -1, 0],  // Right + Backward
-            [-1, -1, 0], // Left + Backward
-            
-            // Diagonal single unit offsets (vertical)
-            [1, 0, 1],   // Right + Up
-            [-1, 0, 1],  // Left + Up
-            [0, 1, 1],   // Forward + Up
-            [0, -1, 1],  // Backward + Up
-            [1, 0, -1],  // Right + Down
-            [-1, 0, -1], // Left + Down
-            [0, 1, -1],  // Forward + Down
-            [0, -1, -1], // Backward + Down
-            
-            // Two unit offsets (horizontal)
-            [2, 0, 0],   // Two right
-            [-2, 0, 0],  // Two left
-            [0, 2, 0],   // Two forward
-            [0, -2, 0],  // Two backward
-            
-            // Two unit offsets (vertical)
-            [0, 0, 2],   // Two up
-            [0, 0, -2],  // Two down
-            
-            // Mixed offsets (horizontal + vertical)
-            [1, 0, 1],   // Right + Up
-            [-1, 0, 1],  // Left + Up
-            [0, 1, 1],   // Forward + Up
-            [0, -1, 1],  // Backward + Up
-            [1, 0, -1],  // Right + Down
-            [-1, 0, -1], // Left + Down
-            [0, 1, -1],  // Forward + Down
-            [0, -1, -1]  // Backward + Down
-        ];
-        
-        let validPosition = null;
-        
-        // Try each position
-        for (const offset of kickOffsets) {
-            // Apply rotation
-            this.currentBlock.rotation.copy(targetRotation);
-            
-            // Try offset position
+        // Try the kicks in order until the block fits
+        let kick = null;
+        for (let index = 0; index < kickTable[axisName].length; index++) {
+            const offset = kickTable[axisName][index];
             this.currentBlock.position = [
                 originalPosition[0] + offset[0],
                 originalPosition[1] + offset[1],
                 originalPosition[2] + offset[2]
             ];
             
-            // Check if valid position
             if (this.pit.canPlacePolycube(this.currentBlock)) {
-                validPosition = [...this.currentBlock.position];
+                kick = { offset: [...offset], index };
                 break;
             }
         }
         
-        // If no valid position found, revert and return false
-        if (!validPosition) {
+        // If no kick fits, revert
+        if (!kick) {
+            this.currentBlock.orientation = originalOrientation;
             this.currentBlock.rotation.copy(originalRotation);
             this.currentBlock.position = originalPosition;
             this.currentBlock.updateMesh();
-            return false;
+            return null;
         }
+        const validPosition = [...this.currentBlock.position];
+        
+        // The mesh is drawn around the pivot, which may snap by half a cell
+        // between orientations; start the animation from where it was drawn
+        const targetOffset = this.currentBlock.getPivotOffset();
+        const startPosition = originalPosition.map((value, i) => value + originalOffset[i] - targetOffset[i]);
         
         // Create rotation animation
         this.rotationAnimation = {
             startRotation: originalRotation.clone(),
             targetRotation: targetRotation.clone(),
-            startPosition: originalPosition,
+            startPosition,
             targetPosition: validPosition,
             duration: 0.075, // Animation duration in seconds (doubled speed)
-            elapsed: 0,
-            wasPaused: this.isPaused
+            elapsed: 0
         };
         
-        // Temporarily pause game during rotation
-        this.isPaused = true;
+        // Gravity and input wait for the turn to finish
+        this.states.advance(GAME_STATES.ROTATING);
+        
+        // Record the axis as an index and the angle as a direction
+        this.recordAction('r', axis.findIndex(v => v !== 0), Math.sign(angle));
+        this.events.emit('blockRotated', { block: this.currentBlock, axis, angle, kick });
+        
+        // Show kicks that moved the block
+        if (kick.index > 0 && this.ui) {
+            this.ui.showKick(kick);
+        }
         
         // Play sound
         if (this.sounds.rotate) {
             this.sounds.rotate();
         }
         
-        return true;
+        return kick;
     }
     
     /**
      * Drop the block quickly to the bottom
      */
     dropBlock() {
-        if (!this.currentBlock || this.isPaused || this.dropAnimation) return;
+        if (!this.currentBlock || !this.acceptsInput('drop')) return;
+        
+        this.recordAction('d');
         
         // Find the final position where the block will land
         let finalPosition = [...this.currentBlock.position];
@@ -1336,7 +1689,7 @@ class Game {
         let dropDistance = 0;
         let canDrop = true;
         let safetyCounter = 0;
-        const maxSafetyCount = CONFIG.PIT_HEIGHT * 2; // Should never need more than twice the pit height
+        const maxSafetyCount = this.pit.height * 2; // Should never need more than twice the pit height
         
         while (canDrop && safetyCounter < maxSafetyCount) {
             safetyCounter++;
@@ -1390,12 +1743,11 @@ class Game {
             startPosition: startPosition,
             targetPosition: finalPosition,
             duration: Math.min(0.5, Math.max(0.15, dropDistance * 0.03)), // Scale duration with drop distance
-            elapsed: 0,
-            wasPaused: this.isPaused
+            elapsed: 0
         };
         
-        // Temporarily pause game during animation
-        this.isPaused = true;
+        // Gravity and input wait for the drop to finish
+        this.states.advance(GAME_STATES.DROPPING);
         
         // Update position highlighting during animation
         this.pit.highlightPosition(this.currentBlock);
@@ -1404,9 +1756,10 @@ class Game {
     /**
      * Game over
      */
-    gameOver() {
-        this.isGameOver = true;
-        this.isPaused = true;
+    gameOver(reason = 'blockOut') {
+        this.states.end();
+        this.rotationAnimation = null;
+        this.dropAnimation = null;
         
         // Clear position highlighting
         this.pit.highlightPosition(null);
@@ -1416,28 +1769,69 @@ class Game {
             this.sounds.gameOver();
         }
         
+        this.events.emit('gameOver', {
+            score: this.score,
+            level: this.level,
+            blocksPlaced: this.blocksPlaced,
+            seed: this.seed,
+            reason
+        });
+        
         // Update UI
         if (this.ui) {
-            this.ui.showGameOver(this.score);
+            // Replays being watched are not saved again as high scores
+            this.ui.showGameOver(this.score, this.seed, this.replayPlayer ? null : this.getReplay());
         }
 
         // Auto-restart after 5 seconds
-        setTimeout(() => {
+        this.restartTimer = setTimeout(() => {
+            this.restartTimer = null;
+            // A watched replay may have used another pit size or shape set than the player chose
+            if (this.replayPlayer) {
+                this.resizePit(Settings.getPitPreset());
+                this.shapeSet = Settings.getShapeSet();
+                this.queueLength = Settings.getQueueLength();
+                this.setGravityMode(Settings.getGravityMode());
+            }
             this.restart();
         }, 5000);
     }
     
     /**
-     * Restart the game
+     * Start a fresh run held on the welcome screen, e.g. after a setting
+     * changed there; the first block falls once the player starts
+     */
+    restartOnWelcome() {
+        this.cancelRestartTimer();
+        this.restart();
+        this.states.reset(GAME_STATES.WELCOME, GAME_STATES.FALLING);
+        this.background.setActive(false);
+    }
+    
+    /**
+     * Cancel the pending restart after a game over, e.g. when the player
+     * already started another run, a replay or a saved game
+     */
+    cancelRestartTimer() {
+        if (this.restartTimer !== null) {
+            clearTimeout(this.restartTimer);
+            this.restartTimer = null;
+        }
+    }
+    
+    /**
+     * Restart the game, optionally with a given seed
      */
-    restart() {
+    restart(seed) {
+        this.cancelRestartTimer();
+        
         // Reset game state
         this.score = 0;
         this.level = 1;
         this.fallSpeed = CONFIG.INITIAL_FALL_SPEED;
-        this.isGameOver = false;
-        this.isPaused = false;
         this.blocksPlaced = 0; // Reset blocks placed counter
+        this.rotationAnimation = null;
+        this.dropAnimation = null;
         
         // Reset pit
         this.pit.reset();
@@ -1447,12 +1841,27 @@ class Game {
             this.gameContainer.remove(this.currentBlock.mesh);
         }
         
-        // Reset polycube generator (this will reset special block tracking)
-        this.polycubeGenerator = new PolycubeGenerator();
+        // Start a new seeded run (this will reset special block tracking)
+        this.seed = seed !== undefined ? seed : this.createRunSeed();
+        this.polycubeGenerator = this.createGenerator();
+        
+        // Start recording a fresh replay
+        this.tick = 0;
+        this.accumulatedTime = 0;
+        this.frameAccumulator = 0;
+        this.slowDown = null;
+        this.recorder = this.createRecorder();
+        this.replayPlayer = null;
+        
+        // Drop garbage meant for the previous run
+        this.garbageRandom = new SeededRandom(this.seed ^ GARBAGE_SEED_MASK);
+        this.incomingGarbage = [];
         
         // Reset and generate new blocks
         this.nextBlocks = [];
-        this.generateNextBlocks(3);
+        this.heldBlock = null;
+        this.generateNextBlocks(this.queueLength);
+        this.states.reset(GAME_STATES.SPAWNING);
         this.spawnBlock();
         
         // Update UI
@@ -1462,6 +1871,7 @@ class Game {
             this.ui.updateBlocks(0);
             this.ui.hideGameOver();
             this.ui.updateNextBlockPreview(this.nextBlocks);
+            this.ui.updateHoldPreview(null);
         }
 
         // Recreate or activate background
@@ -1484,7 +1894,100 @@ class Game {
             this.audioContext.resume();
         }
     }
-    
+
+    /**
+     * Get the full state of the current run as plain data (see savegame.js)
+     */
+    serializeState() {
+        return {
+            seed: this.seed,
+            tick: this.tick,
+            score: this.score,
+            level: this.level,
+            fallSpeed: this.fallSpeed,
+            blocksPlaced: this.blocksPlaced,
+            accumulatedTime: this.accumulatedTime,
+            slowDown: this.slowDown,
+            gravity: this.gravityMode.id,
+            shapeSet: this.shapeSet.id,
+            shapes: this.shapeSet.shapes,
+            pit: this.pit.model.toSnapshot(),
+            currentBlock: this.currentBlock.toJSON(),
+            nextBlocks: this.nextBlocks.map(block => block.toJSON()),
+            heldBlock: this.heldBlock ? this.heldBlock.toJSON() : null,
+            holdUsed: this.holdUsed,
+            generator: this.polycubeGenerator.getState(),
+            garbageRandomState: this.garbageRandom.state,
+            replay: this.recorder.toJSON()
+        };
+    }
+
+    /**
+     * Continue a run from serializeState() data. The game stays paused.
+     */
+    restoreState(state) {
+        this.cancelRestartTimer();
+        
+        // Restore the pit contents (in the size it was played in)
+        this.resizePit(state.pit);
+        this.setGravityMode(Settings.findGravityMode(state.gravity) || Settings.findGravityMode('classic'));
+        this.pit.reset();
+        this.pit.model.loadSnapshot(state.pit);
+
+        // Remove the block spawned for the fresh run
+        if (this.currentBlock && this.currentBlock.mesh) {
+            this.gameContainer.remove(this.currentBlock.mesh);
+        }
+
+        // Restore counters and timers
+        this.seed = state.seed;
+        this.tick = state.tick;
+        this.score = state.score;
+        this.level = state.level;
+        this.fallSpeed = state.fallSpeed;
+        this.blocksPlaced = state.blocksPlaced;
+        this.accumulatedTime = state.accumulatedTime;
+        this.slowDown = state.slowDown ? { ...state.slowDown } : null;
+        this.frameAccumulator = 0;
+        this.rotationAnimation = null;
+        this.dropAnimation = null;
+
+        // Continue the same random sequence
+        this.shapeSet = this.findShapeSet(state.shapeSet, state.shapes) || Settings.getShapeSet();
+        this.polycubeGenerator = this.createGenerator();
+        this.polycubeGenerator.setState(state.generator);
+        this.garbageRandom = new SeededRandom(this.seed ^ GARBAGE_SEED_MASK);
+        this.garbageRandom.state = state.garbageRandomState;
+        this.incomingGarbage = [];
+
+        // Rebuild the queue and the falling block
+        this.nextBlocks = state.nextBlocks.map(data => Polycube.fromJSON(data));
+        this.queueLength = this.nextBlocks.length;
+        this.currentBlock = Polycube.fromJSON(state.currentBlock);
+        this.heldBlock = state.heldBlock ? Polycube.fromJSON(state.heldBlock) : null;
+        this.holdUsed = state.holdUsed || false;
+        this.gameContainer.add(this.currentBlock.createMesh());
+        this.pit.highlightPosition(this.currentBlock);
+
+        // Saves are only made while a block falls; it falls again on resume
+        this.states.reset(GAME_STATES.PAUSED, GAME_STATES.FALLING);
+
+        // Keep recording into the saved replay so it still covers the whole run
+        this.recorder = ReplayRecorder.fromJSON(state.replay);
+        this.replayPlayer = null;
+
+        // Update UI
+        if (this.ui) {
+            this.ui.updateScore(this.score);
+            this.ui.updateLevel(this.level);
+            this.ui.updateBlocks(this.blocksPlaced);
+            this.ui.hideGameOver();
+            this.ui.updateNextBlockPreview(this.nextBlocks);
+            this.ui.updateHoldPreview(this.heldBlock);
+            this.ui.setHoldAvailable(!this.holdUsed);
+        }
+    }
+
     /**
      * Create the pause message element
      */
@@ -1545,7 +2048,11 @@ class Game {
      * Pause the game
      */
     pause() {
-        this.isPaused = true;
+        // Only a running game pauses (not the welcome screen or a finished run)
+        if (!this.states.pause()) return;
+        
+        this.recordAction('p');
+        this.events.emit('paused', { paused: true });
         this.background.setActive(false); // Deactivate background when game is paused
         
         // Show pause message if the game has started and welcome message is gone
@@ -1562,9 +2069,11 @@ class Game {
      * Resume the game
      */
     resume() {
-        if (this.isGameOver) return;
+        // Play continues in the state it was held in, e.g. a half-done rotation
+        if (!this.states.resume()) return;
         
-        this.isPaused = false;
+        this.recordAction('u');
+        this.events.emit('paused', { paused: false });
         this.background.setActive(true); // Reactivate background when game resumes
         this.lastFrameTime = performance.now();
         
@@ -1577,46 +2086,10 @@ class Game {
         }
     }
     
-    startGame() {
-        this.score = 0;
-        this.level = 1;
-        this.fallSpeed = CONFIG.INITIAL_FALL_SPEED;
-        this.isGameOver = false;
-        this.isPaused = false;
-        this.pit.clear();
-        
-        // Reset polycube generator (this will reset special block tracking)
-        this.polycubeGenerator = new PolycubeGenerator();
-        
-        // Generate initial blocks
-        this.nextBlocks = [];
-        this.generateNextBlocks(3);
-        this.spawnBlock();
-        
-        this.updateScore();
-        this.updateLevel();
-        this.background.setActive(true); // Activate background when game starts
-    }
-    
-    pauseGame() {
-        this.paused = true;
-        this.background.setActive(false); // Deactivate background when game is paused
-        this.pauseMessage.style.display = 'block';
-    }
-    
-    resumeGame() {
-        this.paused = false;
-        this.background.setActive(true); // Reactivate background when game resumes
-        this.pauseMessage.style.display = 'none';
-    }
-
     /**
      * Handle WebGL context loss
      */
     handleContextLoss() {
-        // Stop the animation loop
-        this.isPaused = true;
-        
         // Clean up resources
         this.cleanupResources();
         
@@ -1655,4 +2128,7 @@ class Game {
             this.renderer.dispose();
         }
     }
-} 
\ No newline at end of file
+}
+
+// Plugins registered through Game.registerPlugin()
+Game.registeredPlugins = [];
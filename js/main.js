@@ -2,14 +2,24 @@
  * Main script - Initialize Space Cubes game
  */
 document.addEventListener('DOMContentLoaded', () => {
+    // Watch-only mode (?watch): follow other players instead of playing
+    if (SpectatorClient.isWatchMode()) {
+        new SpectatorClient().start();
+        return;
+    }
+    
     // Create game instance
     const game = new Game();
     
     // Initialize game elements (UI, controls, etc.)
     game.initialize();
     
-    // Ensure game starts paused
-    game.pause();
+    // Keep the run in progress across reloads
+    game.use(new SaveGame());
+    const savedGame = SaveGame.load();
+    
+    // Versus matches through the local relay (single player if none is running)
+    game.use(new MultiplayerClient());
     
     // Create instructions box
     const instructionsBox = document.createElement('div');
@@ -27,6 +37,7 @@ document.addEventListener('DOMContentLoaded', () => {
                 <li>Arrow buttons: Move block</li>
                 <li>Rotate X/Y/Z: Rotate around axes</li>
                 <li>Drop: Drop block quickly</li>
+                <li>Hold: Keep the block for later</li>
                 <li>Pause/Resume: Pause the game</li>
             </ul>
             <p class="start-prompt">Press SPACE to start!</p>
@@ -41,38 +52,199 @@ document.addEventListener('DOMContentLoaded', () => {
                 <li>E/W/Q: Rotate around X/Y/Z axis</li>
                 <li>D/S/A: Rotate around X/Y/Z axis (inverse)</li>
                 <li>Space: Drop block</li>
+                <li>C or Shift: Hold block</li>
                 <li>P: Pause/Resume game</li>
             </ul>
             <p class="start-prompt">Press SPACE to start!</p>
         `;
     }
     
-    document.getElementById('game-container').appendChild(instructionsBox);
-    
-    // Create high scores section in the same box
-    const highScores = JSON.parse(localStorage.getItem(CONFIG.HIGH_SCORE_KEY) || '[]');
-    if (highScores.length > 0) {
-        const highScoresSection = document.createElement('div');
-        highScoresSection.className = 'high-scores-section';
-        highScoresSection.innerHTML = `
-            <h2>High Scores</h2>
-            <ol>
-                ${highScores.map(score => `<li>${score.name}: ${score.score}</li>`).join('')}
-            </ol>
+    // Offer to continue a saved run
+    if (savedGame) {
+        const continueSection = document.createElement('div');
+        continueSection.className = 'continue-section';
+        continueSection.innerHTML = `
+            <p>A game in progress was saved (score ${savedGame.score}, level ${savedGame.level}).</p>
+            <button class="continue-game">Continue</button>
+            ${isMobile ? '' : '<p class="continue-hint">Press C to continue, SPACE for a new game</p>'}
         `;
-        instructionsBox.appendChild(highScoresSection);
+        instructionsBox.insertBefore(continueSection, instructionsBox.querySelector('.start-prompt'));
     }
     
+    // Pit size and shape set selection
+    const settingsSection = document.createElement('div');
+    settingsSection.className = 'settings-section';
+    settingsSection.innerHTML = `
+        <label>Pit size:
+            <select id="pit-size">
+                ${CONFIG.PIT_PRESETS.map(preset => `<option value="${preset.id}">${preset.name}</option>`).join('')}
+            </select>
+        </label>
+        <label>Shapes:
+            <select id="shape-set"></select>
+        </label>
+        <label>Next blocks:
+            <select id="queue-length">
+                ${Array.from({ length: CONFIG.MAX_QUEUE_LENGTH + 1 }, (_, length) => `<option value="${length}">${length}</option>`).join('')}
+            </select>
+        </label>
+        <label>Gravity:
+            <select id="gravity-mode">
+                ${CONFIG.GRAVITY_MODES.map(mode => `<option value="${mode.id}">${mode.name}</option>`).join('')}
+            </select>
+        </label>
+        <label>Preview:
+            <select id="preview-mode">
+                <option value="spin">Spinning</option>
+                <option value="spawn">As they enter the pit</option>
+            </select>
+        </label>
+        <button class="open-shape-editor">Shape editor</button>
+    `;
+    instructionsBox.insertBefore(settingsSection, instructionsBox.querySelector('.start-prompt'));
+    
+    document.getElementById('game-container').appendChild(instructionsBox);
+    
+    // Create high scores section in the same box (one table per pit size)
+    const highScoresSection = document.createElement('div');
+    highScoresSection.className = 'high-scores-section';
+    instructionsBox.appendChild(highScoresSection);
+    
+    let highScores = [];
+    const renderHighScores = () => {
+        highScores = game.ui.getHighScores();
+        highScoresSection.style.display = highScores.length > 0 ? '' : 'none';
+        highScoresSection.innerHTML = '<h2>High Scores</h2>';
+        
+        // Player and shape set names come from storage, so they only go in as text
+        const list = document.createElement('ol');
+        highScores.forEach((score, index) => {
+            const item = document.createElement('li');
+            item.textContent = `${score.name}: ${score.score} (${UI.shapeSetName(score)})`;
+            
+            if (score.replay && score.replay.v === REPLAY_VERSION) {
+                const watchButton = document.createElement('button');
+                watchButton.className = 'watch-replay';
+                watchButton.dataset.index = index;
+                watchButton.textContent = 'Watch';
+                item.append(' ', watchButton);
+            }
+            
+            list.appendChild(item);
+        });
+        highScoresSection.appendChild(list);
+    };
+    renderHighScores();
+    
     // Hide instructions box and start game
     const startGame = () => {
         instructionsBox.style.display = 'none';
         game.resume(); // Explicitly resume the game
     };
     
+    // Continue the saved run where it was left
+    const continueGame = () => {
+        instructionsBox.style.display = 'none';
+        game.restoreState(savedGame);
+        game.resume();
+    };
+    
+    const continueButton = instructionsBox.querySelector('.continue-game');
+    if (continueButton) {
+        continueButton.addEventListener('click', (e) => {
+            e.stopPropagation();
+            continueGame();
+        });
+    }
+    
+    // Watch the recorded replay of a high score
+    highScoresSection.addEventListener('click', (e) => {
+        const button = e.target.closest('.watch-replay');
+        if (!button) return;
+        
+        e.stopPropagation();
+        instructionsBox.style.display = 'none';
+        game.playReplay(highScores[button.dataset.index].replay);
+    });
+    
+    // Switching the pit size starts a fresh run in the new pit, held on the welcome screen
+    const pitSizeSelect = settingsSection.querySelector('#pit-size');
+    pitSizeSelect.value = Settings.getPitPreset().id;
+    settingsSection.addEventListener('click', (e) => e.stopPropagation());
+    pitSizeSelect.addEventListener('change', () => {
+        const preset = Settings.findPitPreset(pitSizeSelect.value);
+        Settings.set('pitSize', preset.id);
+        game.resizePit(preset);
+        game.restartOnWelcome();
+        renderHighScores();
+        pitSizeSelect.blur(); // Let SPACE start the game again
+    });
+    
+    // Switching the shape set also starts a fresh run
+    const shapeSetSelect = settingsSection.querySelector('#shape-set');
+    const renderShapeSets = () => {
+        // The custom pack is only offered once the player has made shapes
+        const customSet = CustomShapes.getShapeSet();
+        const shapeSets = customSet ? [...CONFIG.SHAPE_SETS, customSet] : CONFIG.SHAPE_SETS;
+        shapeSetSelect.innerHTML = shapeSets.map(set => `<option value="${set.id}">${set.name}</option>`).join('');
+        shapeSetSelect.value = Settings.getShapeSet().id;
+    };
+    renderShapeSets();
+    shapeSetSelect.addEventListener('change', () => {
+        Settings.set('shapeSet', shapeSetSelect.value);
+        game.shapeSet = Settings.getShapeSet();
+        game.restartOnWelcome();
+        shapeSetSelect.blur();
+    });
+    
+    // The queue length changes the run too (special blocks depend on it)
+    const queueLengthSelect = settingsSection.querySelector('#queue-length');
+    queueLengthSelect.value = Settings.getQueueLength();
+    queueLengthSelect.addEventListener('change', () => {
+        Settings.set('queueLength', Number(queueLengthSelect.value));
+        game.queueLength = Settings.getQueueLength();
+        game.restartOnWelcome();
+        queueLengthSelect.blur();
+    });
+    
+    // So does the gravity mode (classic or cascade rules)
+    const gravityModeSelect = settingsSection.querySelector('#gravity-mode');
+    gravityModeSelect.value = Settings.getGravityMode().id;
+    gravityModeSelect.addEventListener('change', () => {
+        Settings.set('gravityMode', gravityModeSelect.value);
+        game.setGravityMode(Settings.getGravityMode());
+        game.restartOnWelcome();
+        gravityModeSelect.blur();
+    });
+    
+    // The preview mode only changes how the queue is drawn
+    const previewModeSelect = settingsSection.querySelector('#preview-mode');
+    previewModeSelect.value = Settings.get('previewMode');
+    previewModeSelect.addEventListener('change', () => {
+        Settings.set('previewMode', previewModeSelect.value);
+        game.ui.setPreviewMode(previewModeSelect.value);
+        previewModeSelect.blur();
+    });
+    
+    // Custom shapes: a fresh run picks up the edited pack
+    const shapeEditor = new ShapeEditor(() => {
+        renderShapeSets();
+        if (game.shapeSet.id === CUSTOM_SHAPE_SET_ID) {
+            game.shapeSet = Settings.getShapeSet();
+            game.restartOnWelcome();
+        }
+    });
+    settingsSection.querySelector('.open-shape-editor').addEventListener('click', (e) => {
+        e.currentTarget.blur();
+        shapeEditor.open();
+    });
+    
     // Event listeners to hide instructions and start game
     document.addEventListener('keydown', (e) => {
         if (e.code === 'Space' && instructionsBox.style.display !== 'none') {
             startGame();
+        } else if (e.code === 'KeyC' && savedGame && instructionsBox.style.display !== 'none') {
+            continueGame();
         }
     });
     
@@ -0,0 +1,284 @@
+/**
+ * Multiplayer - Versus matches against another player through the relay server
+ *
+ * Installed as a plugin. Connects to server/relay.js, waits for an opponent
+ * once the player starts a run and then streams pit snapshots and score both
+ * ways. Clearing several lines or layers at once sends garbage layers to the
+ * opponent; the first player to top out loses. Without a reachable relay
+ * the game stays single player. The state is also streamed outside matches
+ * so spectators can follow.
+ */
+class MultiplayerClient {
+    constructor(url = MultiplayerClient.serverUrl()) {
+        this.url = url;
+        this.game = null;
+        this.socket = null;
+        this.id = null;
+        this.opponentId = null;     // Set while a match is running
+        this.opponentState = null;  // Last state received from the opponent
+        this.isQueued = false;      // Waiting on the relay for an opponent
+
+        // Versus panel
+        this.panel = document.getElementById('versus');
+        this.statusElement = document.getElementById('versus-status');
+        this.opponentScoreElement = document.getElementById('opponent-score');
+        this.opponentLevelElement = document.getElementById('opponent-level');
+        this.opponentHeightElement = document.getElementById('opponent-height');
+        this.opponentViewElement = document.getElementById('opponent-view');
+        this.opponentView = null; // Miniature of the opponent's pit, created on first use
+    }
+
+    /**
+     * Relay address: CONFIG.MULTIPLAYER.SERVER_URL, or ?server= from the page URL
+     */
+    static serverUrl() {
+        const override = new URLSearchParams(window.location.search).get('server');
+        return override || CONFIG.MULTIPLAYER.SERVER_URL;
+    }
+
+    /**
+     * Plugin entry point (see Game.use)
+     */
+    install(game) {
+        this.game = game;
+        game.multiplayer = this;
+
+        game.on('blockSpawned', () => {
+            // A new run after a finished match looks for the next opponent
+            this.joinWhenPlaying();
+            this.sendState();
+        });
+        game.on('stateChanged', ({ from }) => {
+            // The player left the welcome screen: the first run starts
+            if (from === GAME_STATES.WELCOME) {
+                this.joinWhenPlaying();
+            }
+        });
+        game.on('linesCleared', ({ total }) => this.sendAttack(total));
+        game.on('garbageAdded', () => this.sendState());
+        game.on('gameOver', () => this.handleTopOut());
+
+        this.connect();
+    }
+
+    /**
+     * Open the connection to the relay
+     */
+    connect() {
+        try {
+            this.socket = new WebSocket(this.url);
+        } catch (error) {
+            return; // Invalid URL: stay single player
+        }
+
+        this.socket.addEventListener('open', () => {
+            this.updatePanel();
+            this.joinWhenPlaying();
+        });
+        this.socket.addEventListener('message', (event) => {
+            try {
+                this.handleMessage(JSON.parse(event.data));
+            } catch (error) {
+                console.warn('Ignoring malformed relay message', error);
+            }
+        });
+        this.socket.addEventListener('close', () => {
+            // No relay running or it went away: keep playing on our own
+            this.socket = null;
+            this.opponentId = null;
+            this.isQueued = false;
+            this.updatePanel();
+        });
+    }
+
+    /**
+     * Check whether we are connected to the relay
+     */
+    isConnected() {
+        return this.socket !== null && this.socket.readyState === WebSocket.OPEN;
+    }
+
+    /**
+     * Check whether a versus match is running
+     */
+    isInMatch() {
+        return this.opponentId !== null;
+    }
+
+    /**
+     * Check whether the player is in a run of their own: not held on the
+     * welcome screen, not watching a replay and not topped out
+     */
+    isPlaying() {
+        return !this.game.states.is(GAME_STATES.WELCOME) && !this.game.replayPlayer && !this.game.isGameOver;
+    }
+
+    /**
+     * Ask for an opponent once a run is actually under way. Checked after the
+     * current call finishes, as restartOnWelcome and playReplay spawn the first
+     * block before they hold the run or start the playback
+     */
+    joinWhenPlaying() {
+        queueMicrotask(() => {
+            if (this.isPlaying() && !this.isInMatch() && !this.isQueued) {
+                this.join();
+            }
+        });
+    }
+
+    /**
+     * Send a message to the relay
+     */
+    send(message) {
+        if (this.isConnected()) {
+            this.socket.send(JSON.stringify(message));
+        }
+    }
+
+    /**
+     * Ask the relay for an opponent
+     */
+    join() {
+        if (!this.isConnected()) return;
+
+        this.isQueued = true;
+        this.send({ type: 'join' });
+        this.updatePanel();
+    }
+
+    /**
+     * Handle a message from the relay
+     */
+    handleMessage(message) {
+        switch (message.type) {
+            case 'hello':
+                this.id = message.id;
+                break;
+            case 'paired':
+                this.opponentId = message.opponent;
+                this.opponentState = null;
+                this.isQueued = false;
+                if (this.opponentView) {
+                    this.opponentView.clear();
+                }
+                this.setStatus('Versus: match started');
+                this.sendState();
+                break;
+            case 'state':
+                this.opponentState = message;
+                this.showOpponent();
+                break;
+            case 'attack': {
+                // Don't trust the peer: whole layers only, at most a pit's worth
+                if (!Number.isInteger(message.layers)) break;
+                const layers = Math.max(1, Math.min(this.game.pit.height, message.layers));
+                this.game.receiveGarbage(layers);
+                this.setStatus(`Incoming: ${layers} layer${layers > 1 ? 's' : ''}!`);
+                break;
+            }
+            case 'topout':
+                this.endMatch('You win!');
+                if (!this.game.isGameOver) {
+                    this.game.gameOver('matchWon');
+                }
+                break;
+            case 'opponent-left':
+                // The next spawned block queues us up again
+                this.endMatch('Opponent left');
+                break;
+        }
+
+        this.updatePanel();
+    }
+
+    /**
+     * Draw the opponent's pit in the miniature view
+     */
+    showOpponent() {
+        if (!this.opponentViewElement) return;
+
+        if (!this.opponentView) {
+            this.opponentView = new SpectatorView(this.opponentViewElement);
+        }
+        this.opponentView.showState(this.opponentState);
+    }
+
+    /**
+     * Send our pit snapshot and score to the opponent and spectators
+     */
+    sendState() {
+        if (!this.isConnected()) return;
+
+        this.send({
+            type: 'state',
+            pit: this.game.pit.model.toSnapshot(),
+            score: this.game.score,
+            level: this.game.level
+        });
+    }
+
+    /**
+     * Send garbage for a multi-clear
+     */
+    sendAttack(total) {
+        if (!this.isInMatch()) return;
+
+        const table = CONFIG.MULTIPLAYER.ATTACK_TABLE;
+        const layers = table[Math.min(total, table.length - 1)];
+        if (layers > 0) {
+            this.send({ type: 'attack', layers });
+        }
+    }
+
+    /**
+     * We topped out: tell the opponent they won
+     */
+    handleTopOut() {
+        if (!this.isInMatch()) return;
+
+        this.sendState();
+        this.send({ type: 'topout' });
+        this.endMatch('You lose');
+    }
+
+    /**
+     * Forget the current opponent and show the result
+     */
+    endMatch(result) {
+        this.opponentId = null;
+        this.setStatus(result);
+    }
+
+    /**
+     * Show a status line in the versus panel
+     */
+    setStatus(text) {
+        if (this.statusElement) {
+            this.statusElement.textContent = text;
+        }
+    }
+
+    /**
+     * Refresh the versus panel (hidden when not connected)
+     */
+    updatePanel() {
+        if (!this.panel) return;
+
+        this.panel.classList.toggle('hidden', !this.isConnected());
+        if (this.isQueued) {
+            this.setStatus('Waiting for an opponent...');
+        }
+
+        const state = this.isInMatch() ? this.opponentState : null;
+        this.opponentScoreElement.textContent = state ? state.score : '-';
+        this.opponentLevelElement.textContent = state ? state.level : '-';
+        this.opponentHeightElement.textContent = state ? MultiplayerClient.stackHeight(state.pit) : '-';
+    }
+
+    /**
+     * Height of the highest occupied cell in a pit snapshot
+     */
+    static stackHeight(snapshot) {
+        return snapshot.cells.reduce((height, [, , z]) => Math.max(height, z + 1), 0);
+    }
+}
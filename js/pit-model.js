@@ -0,0 +1,870 @@
+/**
+ * PitModel - Pure 3D grid and clearing rules for Space Cubes (no Three.js)
+ *
+ * The model owns the grid. Renderers subscribe with addListener() and are
+ * notified after every change, so the same rules run headless in Node.
+ *
+ * Empty cells are null; occupied cells hold a record (see createCell) with
+ * the color as an index into the model's palette, the shape id and serial
+ * number of the piece it came from, the tick it landed on and CELL_FLAGS.
+ */
+class PitModel {
+    constructor(width, depth, height, palette = []) {
+        this.width = width;
+        this.depth = depth;
+        this.height = height;
+
+        // Colors of the cells; new colors are added the first time they are placed
+        this.palette = [...palette];
+
+        // What happens above a clear (see clearMatches and setGravity)
+        this.gravity = 'classic';
+        this.connectivity = 'piece';
+
+        // Same-color cubes stacked this high in one column clear (null: the pit height)
+        this.columnClearHeight = null;
+
+        // Initialize empty grid
+        this.grid = new Array(width);
+        for (let x = 0; x < width; x++) {
+            this.grid[x] = new Array(depth);
+            for (let y = 0; y < depth; y++) {
+                this.grid[x][y] = new Array(height).fill(null);
+            }
+        }
+
+        // Change observers (renderers, network sync, ...)
+        this.listeners = [];
+    }
+
+    /**
+     * Register a listener called with a change event after each grid update
+     * Returns a function that removes the listener again
+     */
+    addListener(listener) {
+        this.listeners.push(listener);
+        return () => {
+            this.listeners = this.listeners.filter(l => l !== listener);
+        };
+    }
+
+    /**
+     * Notify all listeners about a grid change
+     */
+    notify(type, detail = {}) {
+        const event = { type, ...detail };
+        for (const listener of this.listeners) {
+            listener(event);
+        }
+    }
+
+    /**
+     * Choose how the grid closes up after a clear: 'classic' lets each pattern's
+     * collapse policy decide; 'cascade' removes the cells and lets loose groups
+     * fall as rigid bodies, held together by connectivity 'piece' or 'color'
+     */
+    setGravity(gravity, connectivity = 'piece') {
+        this.gravity = gravity;
+        this.connectivity = connectivity;
+    }
+
+    /**
+     * Create the record stored in an occupied cell
+     */
+    static createCell(color, { shape = null, serial = null, tick = null, flags = 0 } = {}) {
+        return { color, shape, serial, tick, flags };
+    }
+
+    /**
+     * Palette index of a color (0xrrggbb), added to the palette if it is new
+     */
+    colorIndex(color) {
+        let index = this.palette.indexOf(color);
+        if (index === -1) {
+            index = this.palette.push(color) - 1;
+        }
+        return index;
+    }
+
+    /**
+     * Displayed color (0xrrggbb) of a cell record
+     */
+    colorOf(cell) {
+        return this.palette[cell.color];
+    }
+
+    /**
+     * Check if a cell can be part of a same-color line (garbage never is)
+     */
+    isColorCell(cell) {
+        return cell !== null && !(cell.flags & PitModel.CELL_FLAGS.GARBAGE);
+    }
+
+    /**
+     * Check if a position is inside the pit
+     */
+    isInside(x, y, z) {
+        return (
+            x >= 0 && x < this.width &&
+            y >= 0 && y < this.depth &&
+            z >= 0 && z < this.height
+        );
+    }
+
+    /**
+     * Check if a position is valid (inside the pit and not occupied)
+     */
+    isValidPosition(x, y, z) {
+        return this.isInside(x, y, z) && this.grid[x][y][z] === null;
+    }
+
+    /**
+     * Check if a polycube can be placed at its current position and rotation
+     */
+    canPlacePolycube(polycube) {
+        const positions = polycube.getWorldPositions();
+
+        for (const [x, y, z] of positions) {
+            if (!this.isValidPosition(x, y, z)) {
+                return false;
+            }
+        }
+
+        return true;
+    }
+
+    /**
+     * Place a polycube in the pit, recording the tick it landed on
+     */
+    placePolycube(polycube, tick = null) {
+        const positions = polycube.getWorldPositions();
+
+        // Refuse the whole placement if any cube is outside the pit
+        for (const [x, y, z] of positions) {
+            if (!this.isInside(x, y, z)) {
+                console.warn('Block placed outside pit bounds', x, y, z);
+                return false;
+            }
+        }
+
+        // Add each cube of the polycube to the grid, with its own record
+        const cell = PitModel.createCell(this.colorIndex(polycube.color), {
+            shape: polycube.shape,
+            serial: polycube.serial,
+            tick,
+            flags: polycube.powerUp ? PitModel.CELL_FLAGS.POWER_UP : 0
+        });
+        for (const [x, y, z] of positions) {
+            this.grid[x][y][z] = { ...cell };
+        }
+
+        this.notify('place', { positions });
+        return true;
+    }
+
+    /**
+     * Empty a set of cells without shifting anything
+     */
+    removeCells(positions) {
+        for (const [x, y, z] of positions) {
+            if (this.isInside(x, y, z)) {
+                this.grid[x][y][z] = null;
+            }
+        }
+
+        this.notify('remove', { positions });
+    }
+
+    /**
+     * Remove cells and close the grid up by the active gravity: classic drops
+     * the cubes above them, cascade lets loose groups fall (see setGravity)
+     */
+    collapseCells(cells) {
+        this.clearCells(cells, this.gravity === 'cascade' ? 'cascade' : 'shift');
+    }
+
+    /**
+     * Fill or replace a set of cells ([x, y, z, cell record]) without shifting anything
+     */
+    setCells(cells) {
+        for (const [x, y, z, cell] of cells) {
+            if (this.isInside(x, y, z)) {
+                this.grid[x][y][z] = cell;
+            }
+        }
+
+        this.notify('set', { cells });
+    }
+
+    /**
+     * Cells of a layer
+     */
+    getLayerCells(z) {
+        const cells = [];
+        for (let x = 0; x < this.width; x++) {
+            for (let y = 0; y < this.depth; y++) {
+                cells.push([x, y, z]);
+            }
+        }
+        return cells;
+    }
+
+    /**
+     * Cells of a horizontal line (along y)
+     */
+    getHorizontalLineCells(x, z) {
+        return Array.from({ length: this.depth }, (_, y) => [x, y, z]);
+    }
+
+    /**
+     * Cells of a vertical line (along x)
+     */
+    getVerticalLineCells(y, z) {
+        return Array.from({ length: this.width }, (_, x) => [x, y, z]);
+    }
+
+    /**
+     * Runs of same-colored cubes stacked in an (x, y) column, bottom up
+     * Returns [{ color, cells }] with the color index of each run
+     */
+    getColumnRuns(x, y) {
+        const runs = [];
+        let run = null;
+        for (let z = 0; z < this.height; z++) {
+            const cell = this.grid[x][y][z];
+            if (!this.isColorCell(cell)) {
+                run = null;
+            } else if (run && run.color === cell.color) {
+                run.cells.push([x, y, z]);
+            } else {
+                run = { color: cell.color, cells: [[x, y, z]] };
+                runs.push(run);
+            }
+        }
+        return runs;
+    }
+
+    /**
+     * Height a same-color column needs to clear, never more than the pit height
+     */
+    getColumnClearHeight() {
+        return Math.min(this.columnClearHeight || this.height, this.height);
+    }
+
+    /**
+     * Tallest run of same-colored cubes in any column
+     * Returns { height, color } (color as hex, null while the pit has none)
+     */
+    getTallestColumn() {
+        let tallest = { height: 0, color: null };
+        for (let x = 0; x < this.width; x++) {
+            for (let y = 0; y < this.depth; y++) {
+                for (const run of this.getColumnRuns(x, y)) {
+                    if (run.cells.length > tallest.height) {
+                        tallest = { height: run.cells.length, color: this.palette[run.color] };
+                    }
+                }
+            }
+        }
+        return tallest;
+    }
+
+    /**
+     * Check if a set of cells meets a PitModel.MATCH_RULES rule
+     */
+    isMatch(cells, rule) {
+        const check = PitModel.MATCH_RULES[rule];
+        if (!check) {
+            throw new Error(`Unknown match rule: ${rule}`);
+        }
+        return cells.length > 0 && check(this, cells);
+    }
+
+    /**
+     * Check if a layer is complete (all cells filled)
+     */
+    isLayerComplete(z) {
+        return this.isMatch(this.getLayerCells(z), 'filled');
+    }
+
+    /**
+     * Check if a horizontal line is complete (all cells filled with the same color index)
+     * Garbage never forms a line on its own
+     */
+    isHorizontalLineComplete(x, z) {
+        return this.isMatch(this.getHorizontalLineCells(x, z), 'sameColor');
+    }
+
+    /**
+     * Check if a vertical line is complete (all cells filled with the same color index)
+     * Garbage never forms a line on its own
+     */
+    isVerticalLineComplete(y, z) {
+        return this.isMatch(this.getVerticalLineCells(y, z), 'sameColor');
+    }
+
+    /**
+     * Remove a set of cells and close the grid up by a collapse policy:
+     * 'shift' drops the cells above each removed cell by one, column by column;
+     * 'cascade' lets every loose group fall until it rests (see settle);
+     * 'none' leaves the holes. pattern names the match being cleared, if any
+     */
+    clearCells(cells, collapse = 'shift', pattern = null) {
+        if (collapse === 'shift') {
+            // Group the removed heights by column
+            const columns = new Map();
+            for (const [x, y, z] of cells) {
+                if (!this.isInside(x, y, z)) continue;
+                const key = `${x},${y}`;
+                if (!columns.has(key)) columns.set(key, { x, y, removed: new Set() });
+                columns.get(key).removed.add(z);
+            }
+
+            // Keep the other cells of each column in order and pad the top
+            columns.forEach(({ x, y, removed }) => {
+                const column = this.grid[x][y];
+                const kept = column.filter((cell, z) => !removed.has(z));
+                for (let z = 0; z < this.height; z++) {
+                    column[z] = z < kept.length ? kept[z] : null;
+                }
+            });
+        } else if (collapse === 'none' || collapse === 'cascade') {
+            for (const [x, y, z] of cells) {
+                if (this.isInside(x, y, z)) {
+                    this.grid[x][y][z] = null;
+                }
+            }
+        } else {
+            throw new Error(`Unknown collapse policy: ${collapse}`);
+        }
+
+        this.notify('clear', { clear: { pattern, cells, collapse } });
+
+        if (collapse === 'cascade') {
+            this.settle();
+        }
+    }
+
+    /**
+     * Key that holds cubes together in a falling group: the piece they came
+     * from (garbage sticks to garbage) or their color index
+     */
+    getGroupKey(cell) {
+        if (this.connectivity === 'color') return `c${cell.color}`;
+        if (cell.flags & PitModel.CELL_FLAGS.GARBAGE) return 'garbage';
+        return cell.serial !== null ? `s${cell.serial}` : `c${cell.color}`;
+    }
+
+    /**
+     * Split the occupied cells into face-connected groups with the same group key
+     */
+    findGroups() {
+        const seen = new Set();
+        const groups = [];
+
+        for (let x = 0; x < this.width; x++) {
+            for (let y = 0; y < this.depth; y++) {
+                for (let z = 0; z < this.height; z++) {
+                    if (this.grid[x][y][z] === null || seen.has(`${x},${y},${z}`)) continue;
+
+                    // Flood fill the group from this cell
+                    const key = this.getGroupKey(this.grid[x][y][z]);
+                    const group = [];
+                    const queue = [[x, y, z]];
+                    seen.add(`${x},${y},${z}`);
+                    while (queue.length > 0) {
+                        const [cx, cy, cz] = queue.shift();
+                        group.push([cx, cy, cz]);
+                        for (const [dx, dy, dz] of [[1, 0, 0], [-1, 0, 0], [0, 1, 0], [0, -1, 0], [0, 0, 1], [0, 0, -1]]) {
+                            const [nx, ny, nz] = [cx + dx, cy + dy, cz + dz];
+                            if (!this.isInside(nx, ny, nz) || seen.has(`${nx},${ny},${nz}`)) continue;
+                            const neighbor = this.grid[nx][ny][nz];
+                            if (neighbor !== null && this.getGroupKey(neighbor) === key) {
+                                seen.add(`${nx},${ny},${nz}`);
+                                queue.push([nx, ny, nz]);
+                            }
+                        }
+                    }
+                    groups.push(group);
+                }
+            }
+        }
+
+        return groups;
+    }
+
+    /**
+     * How many cells a group can fall before it rests on the floor or another cube
+     */
+    getDropDistance(group) {
+        const own = new Set(group.map(cell => cell.join(',')));
+        const canDrop = drop => group.every(([x, y, z]) => {
+            const below = z - drop - 1;
+            return below >= 0 && (this.grid[x][y][below] === null || own.has(`${x},${y},${below}`));
+        });
+
+        let drop = 0;
+        while (canDrop(drop)) {
+            drop++;
+        }
+        return drop;
+    }
+
+    /**
+     * Let loose groups fall as rigid bodies until everything rests, lowest
+     * groups first (they may catch the ones above them)
+     * Returns the falls [{ from: [x, y, z], to: [x, y, z] }], also sent to listeners
+     */
+    settle() {
+        const start = new Map(); // Cell record -> where it was before falling
+        const lowest = group => Math.min(...group.map(([, , z]) => z));
+        let moved = true;
+
+        while (moved) {
+            moved = false;
+            const groups = this.findGroups().sort((a, b) => lowest(a) - lowest(b));
+
+            for (const group of groups) {
+                const drop = this.getDropDistance(group);
+                if (drop === 0) continue;
+
+                // Lift the group out, then put it back lower
+                const records = group.map(([x, y, z]) => this.grid[x][y][z]);
+                group.forEach(([x, y, z], index) => {
+                    if (!start.has(records[index])) start.set(records[index], [x, y, z]);
+                    this.grid[x][y][z] = null;
+                });
+                group.forEach(([x, y, z], index) => {
+                    this.grid[x][y][z - drop] = records[index];
+                });
+                moved = true;
+            }
+        }
+
+        const falls = [];
+        for (let x = 0; x < this.width; x++) {
+            for (let y = 0; y < this.depth; y++) {
+                for (let z = 0; z < this.height; z++) {
+                    const from = this.grid[x][y][z] !== null ? start.get(this.grid[x][y][z]) : undefined;
+                    if (from && from[2] !== z) {
+                        falls.push({ from, to: [x, y, z] });
+                    }
+                }
+            }
+        }
+
+        if (falls.length > 0) {
+            this.notify('settle', { falls });
+        }
+        return falls;
+    }
+
+    /**
+     * Clear a layer and shift all layers above down
+     */
+    clearLayer(z) {
+        this.clearCells(this.getLayerCells(z), 'shift', 'layer');
+    }
+
+    /**
+     * Clear a horizontal line and shift blocks down
+     */
+    clearHorizontalLine(x, z) {
+        this.clearCells(this.getHorizontalLineCells(x, z), 'shift', 'horizontal');
+    }
+
+    /**
+     * Clear a vertical line and shift blocks down
+     */
+    clearVerticalLine(y, z) {
+        this.clearCells(this.getVerticalLineCells(y, z), 'shift', 'vertical');
+    }
+
+    /**
+     * Roll the holes for a number of garbage layers
+     * Returns one list of distinct [x, y] holes per layer
+     */
+    createGarbageLayers(count, random, holesPerLayer = 1) {
+        const cellCount = this.width * this.depth;
+        const holeCount = Math.max(1, Math.min(holesPerLayer, cellCount - 1));
+        const layers = [];
+
+        for (let i = 0; i < count; i++) {
+            // Partial shuffle of the cell indices picks distinct holes
+            const cells = Array.from({ length: cellCount }, (_, index) => index);
+            const holes = [];
+            for (let h = 0; h < holeCount; h++) {
+                const pick = h + random.nextInt(cellCount - h);
+                [cells[h], cells[pick]] = [cells[pick], cells[h]];
+                holes.push([cells[h] % this.width, Math.floor(cells[h] / this.width)]);
+            }
+            layers.push(holes);
+        }
+
+        return layers;
+    }
+
+    /**
+     * Push the stack up and insert garbage layers at the bottom
+     * Each entry of layers lists the [x, y] holes left open in that layer
+     * Returns the number of filled cells pushed out through the top
+     */
+    insertGarbageLayers(layers) {
+        const count = Math.min(layers.length, this.height);
+        if (count === 0) return 0;
+
+        const garbage = PitModel.createCell(this.colorIndex(PitModel.GARBAGE_COLOR), { flags: PitModel.CELL_FLAGS.GARBAGE });
+        let lostCells = 0;
+        for (let x = 0; x < this.width; x++) {
+            for (let y = 0; y < this.depth; y++) {
+                // Cells pushed past the top are lost
+                for (let z = this.height - count; z < this.height; z++) {
+                    if (this.grid[x][y][z] !== null) lostCells++;
+                }
+
+                // Shift the column up
+                for (let z = this.height - 1; z >= count; z--) {
+                    this.grid[x][y][z] = this.grid[x][y][z - count];
+                }
+                for (let z = 0; z < count; z++) {
+                    this.grid[x][y][z] = { ...garbage };
+                }
+            }
+        }
+
+        // Open the holes
+        layers.slice(0, count).forEach((holes, z) => {
+            for (const [x, y] of holes) {
+                if (this.isInside(x, y, z)) {
+                    this.grid[x][y][z] = null;
+                }
+            }
+        });
+
+        this.notify('garbage', { layers, lostCells });
+        return lostCells;
+    }
+
+    /**
+     * Find every set of cells that matches one of the registered patterns,
+     * in registration order: { pattern, cells, collapse, animation }
+     */
+    findMatches(patterns = PitModel.MATCH_PATTERNS) {
+        const matches = [];
+        for (const pattern of patterns) {
+            for (const cells of pattern.candidates(this)) {
+                if (this.isMatch(cells, pattern.rule)) {
+                    matches.push({ pattern: pattern.id, cells, collapse: pattern.collapse, animation: pattern.animation });
+                }
+            }
+        }
+        return matches;
+    }
+
+    /**
+     * Resolve one step: find every match, remove all matched cells together
+     * (a cell in several matches goes once) and collapse the grid
+     * Returns { matches, cells } or null if nothing matched
+     */
+    resolveStep() {
+        const matches = this.findMatches();
+        if (matches.length === 0) return null;
+
+        this.clearMatches(matches);
+        return { matches, cells: PitModel.cellsOf(matches) };
+    }
+
+    /**
+     * Remove the cells of a set of matches found on the current grid at once
+     * Cells of 'none' matches become holes first (nothing moves), then the
+     * cells of 'shift' matches are taken out of their columns in one go.
+     * With cascade gravity every cell goes and the loose groups fall instead
+     */
+    clearMatches(matches) {
+        if (this.gravity === 'cascade') {
+            this.clearCells(PitModel.cellsOf(matches), 'cascade');
+            return;
+        }
+
+        const shifted = PitModel.cellsOf(matches.filter(match => match.collapse === 'shift'));
+        const shiftedKeys = new Set(shifted.map(cell => cell.join(',')));
+        const holes = PitModel.cellsOf(matches.filter(match => match.collapse !== 'shift'))
+            .filter(cell => !shiftedKeys.has(cell.join(',')));
+
+        if (holes.length > 0) this.clearCells(holes, 'none');
+        if (shifted.length > 0) this.clearCells(shifted, 'shift');
+    }
+
+    /**
+     * Resolve matches until the grid is stable, so clears that make new
+     * matches chain (headless counterpart of Pit.resolveMatches)
+     * Returns the steps, one per chain link
+     */
+    resolveMatches() {
+        const steps = [];
+        let step;
+        while ((step = this.resolveStep()) !== null) {
+            steps.push(step);
+        }
+        return steps;
+    }
+
+    /**
+     * Clear all matches, chains included
+     * Returns the number of matches cleared
+     */
+    clearCompleted() {
+        return this.resolveMatches().reduce((total, step) => total + step.matches.length, 0);
+    }
+
+    /**
+     * Distinct cells of a list of matches
+     */
+    static cellsOf(matches) {
+        const cells = new Map();
+        matches.forEach(match => match.cells.forEach(cell => cells.set(cell.join(','), cell)));
+        return [...cells.values()];
+    }
+
+    /**
+     * Count matches per pattern stat, e.g. { horizontalLines, verticalLines, layers, columns }
+     */
+    static countClears(matches) {
+        const breakdown = {};
+        PitModel.MATCH_PATTERNS.forEach(pattern => { breakdown[pattern.stat] = 0; });
+        matches.forEach((match) => {
+            const pattern = PitModel.getPattern(match.pattern);
+            if (pattern) breakdown[pattern.stat]++;
+        });
+        return breakdown;
+    }
+
+    /**
+     * Add a match pattern (see PitModel.MATCH_PATTERNS)
+     */
+    static registerPattern(pattern) {
+        PitModel.MATCH_PATTERNS.push(pattern);
+    }
+
+    /**
+     * Get a registered match pattern by id, or null
+     */
+    static getPattern(id) {
+        return PitModel.MATCH_PATTERNS.find(pattern => pattern.id === id) || null;
+    }
+
+    /**
+     * Find where a block spawns in its current orientation: centered, with its
+     * top cube in the top layer, shifted by the first [dx, dy] offset that is free
+     * Returns the position, or null if every offset collides (block out)
+     */
+    getSpawnPosition(polycube, offsets = [[0, 0]]) {
+        const originalPosition = polycube.position;
+
+        // Measure the block at the origin
+        polycube.position = [0, 0, 0];
+        const cells = polycube.getWorldPositions();
+        const min = [0, 1, 2].map(axis => Math.min(...cells.map(cell => cell[axis])));
+        const max = [0, 1, 2].map(axis => Math.max(...cells.map(cell => cell[axis])));
+        const base = [
+            Math.floor((this.width - (max[0] - min[0] + 1)) / 2) - min[0],
+            Math.floor((this.depth - (max[1] - min[1] + 1)) / 2) - min[1],
+            this.height - 1 - max[2]
+        ];
+
+        for (const [dx, dy] of offsets) {
+            polycube.position = [base[0] + dx, base[1] + dy, base[2]];
+            if (this.canPlacePolycube(polycube)) {
+                const position = polycube.position;
+                polycube.position = originalPosition;
+                return position;
+            }
+        }
+
+        polycube.position = originalPosition;
+        return null;
+    }
+
+    /**
+     * Check if the game is over because the next block can't spawn (block out)
+     */
+    isGameOver(nextPolycube, offsets = [[0, 0]]) {
+        return this.getSpawnPosition(nextPolycube, offsets) === null;
+    }
+
+    /**
+     * Check if a block locked in the rim, the top rimLayers layers (lock out)
+     * rule: 'any' if one cube in the rim is enough, 'all' if every cube must be, 'off'
+     */
+    isLockOut(positions, rule, rimLayers) {
+        const inRim = ([, , z]) => z >= this.height - rimLayers;
+        if (rule === 'any') return positions.some(inRim);
+        if (rule === 'all') return positions.every(inRim);
+        return false;
+    }
+
+    /**
+     * Height of the stack: one above the highest occupied cell
+     */
+    getStackHeight() {
+        for (let z = this.height - 1; z >= 0; z--) {
+            for (let x = 0; x < this.width; x++) {
+                for (let y = 0; y < this.depth; y++) {
+                    if (this.grid[x][y][z] !== null) return z + 1;
+                }
+            }
+        }
+        return 0;
+    }
+
+    /**
+     * Check if the pit is completely empty (all cells null)
+     */
+    isPitEmpty() {
+        for (let x = 0; x < this.width; x++) {
+            for (let y = 0; y < this.depth; y++) {
+                for (let z = 0; z < this.height; z++) {
+                    if (this.grid[x][y][z] !== null) {
+                        return false;
+                    }
+                }
+            }
+        }
+        return true;
+    }
+
+    /**
+     * Get the occupied cells as a compact snapshot
+     */
+    toSnapshot() {
+        const cells = [];
+        for (let x = 0; x < this.width; x++) {
+            for (let y = 0; y < this.depth; y++) {
+                for (let z = 0; z < this.height; z++) {
+                    if (this.grid[x][y][z] !== null) {
+                        cells.push([x, y, z, this.grid[x][y][z]]);
+                    }
+                }
+            }
+        }
+
+        return { width: this.width, depth: this.depth, height: this.height, palette: [...this.palette], cells };
+    }
+
+    /**
+     * Replace the grid contents with a snapshot from toSnapshot()
+     */
+    loadSnapshot(snapshot) {
+        this.palette = [...snapshot.palette];
+        for (let x = 0; x < this.width; x++) {
+            for (let y = 0; y < this.depth; y++) {
+                this.grid[x][y].fill(null);
+            }
+        }
+
+        for (const [x, y, z, cell] of snapshot.cells) {
+            if (this.isInside(x, y, z)) {
+                this.grid[x][y][z] = cell;
+            }
+        }
+
+        this.notify('load');
+    }
+
+    /**
+     * Reset the pit for a new game
+     */
+    reset() {
+        for (let x = 0; x < this.width; x++) {
+            for (let y = 0; y < this.depth; y++) {
+                for (let z = 0; z < this.height; z++) {
+                    this.grid[x][y][z] = null;
+                }
+            }
+        }
+
+        this.notify('reset');
+    }
+}
+
+PitModel.GARBAGE_COLOR = 0x808080; // Grey cells pushed in by opponents' attacks
+
+// Bits of a cell record's flags
+PitModel.CELL_FLAGS = Object.freeze({
+    GARBAGE: 1,   // Pushed in from the bottom by an attack
+    POWER_UP: 2,  // Part of a power-up block
+    PAINTED: 4    // Recolored by a painter power-up
+});
+
+// Rules a set of cells can match: every cell occupied, or one color (no garbage)
+PitModel.MATCH_RULES = {
+    filled: (model, cells) => cells.every(([x, y, z]) => model.grid[x][y][z] !== null),
+    sameColor: (model, cells) => {
+        const [fx, fy, fz] = cells[0];
+        const first = model.grid[fx][fy][fz];
+        return model.isColorCell(first) && cells.every(([x, y, z]) => {
+            const cell = model.grid[x][y][z];
+            return model.isColorCell(cell) && cell.color === first.color;
+        });
+    }
+};
+
+// Match patterns: sets of cells that clear once they meet their rule.
+// Each pattern lists its candidate cell sets for a model, the rule
+// (PitModel.MATCH_RULES), the counter it adds to in the clear breakdown,
+// the collapse policy after the clear (see clearCells) and the animation
+// style (CONFIG.CLEAR_ANIMATIONS). Add more with PitModel.registerPattern()
+PitModel.MATCH_PATTERNS = [];
+
+PitModel.registerPattern({
+    id: 'horizontal', stat: 'horizontalLines', rule: 'sameColor', collapse: 'shift', animation: 'line',
+    candidates: (model) => {
+        const sets = [];
+        for (let z = 0; z < model.height; z++) {
+            for (let x = 0; x < model.width; x++) {
+                sets.push(model.getHorizontalLineCells(x, z));
+            }
+        }
+        return sets;
+    }
+});
+
+PitModel.registerPattern({
+    id: 'vertical', stat: 'verticalLines', rule: 'sameColor', collapse: 'shift', animation: 'line',
+    candidates: (model) => {
+        const sets = [];
+        for (let z = 0; z < model.height; z++) {
+            for (let y = 0; y < model.depth; y++) {
+                sets.push(model.getVerticalLineCells(y, z));
+            }
+        }
+        return sets;
+    }
+});
+
+PitModel.registerPattern({
+    id: 'layer', stat: 'layers', rule: 'filled', collapse: 'shift', animation: 'layer',
+    candidates: model => Array.from({ length: model.height }, (_, z) => model.getLayerCells(z))
+});
+
+// A same-color column clears whole once it reaches the clear height
+PitModel.registerPattern({
+    id: 'column', stat: 'columns', rule: 'sameColor', collapse: 'shift', animation: 'column',
+    candidates: (model) => {
+        const sets = [];
+        for (let x = 0; x < model.width; x++) {
+            for (let y = 0; y < model.depth; y++) {
+                for (const run of model.getColumnRuns(x, y)) {
+                    if (run.cells.length >= model.getColumnClearHeight()) {
+                        sets.push(run.cells);
+                    }
+                }
+            }
+        }
+        return sets;
+    }
+});
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { PitModel };
+}
@@ -7,14 +7,16 @@ class Pit {
         this.depth = depth;
         this.height = height;
         
-        // Initialize empty grid
-        this.grid = new Array(width);
-        for (let x = 0; x < width; x++) {
-            this.grid[x] = new Array(depth);
-            for (let y = 0; y < depth; y++) {
-                this.grid[x][y] = new Array(height).fill(null);
+        // The grid and all clearing rules live in the headless model;
+        // this class only renders it and runs the animations
+        this.model = new PitModel(width, depth, height, CONFIG.BLOCK_COLORS);
+        this.model.columnClearHeight = CONFIG.COLUMN_CLEAR_HEIGHT;
+        this.model.addListener((event) => {
+            this.updateVisualBlocks();
+            if (event.type === 'settle') {
+                this.animateFalls(event.falls);
             }
-        }
+        });
         
         // Create Three.js objects
         this.mesh = new THREE.Group();
@@ -23,6 +25,7 @@ class Pit {
         // Placed blocks (for rendering)
         this.placedBlocks = new THREE.Group();
         this.mesh.add(this.placedBlocks);
+        this.cellMeshes = new Map(); // "x,y,z" -> [cube, edges] of each placed cell
         
         // Grid visualization and position highlighting
         this.gridLines = new THREE.Group();
@@ -39,7 +42,42 @@ class Pit {
         
         // Track animation state
         this.clearAnimationInProgress = false;
-        this.layersToClear = [];
+        this.activeClearAnimations = 0; // Individual clear animations still running
+        this.activeFalls = 0;           // Cascade fall animations still running
+        this.fallCallbacks = [];        // Waiting for the falls to finish
+        this.pendingResolves = [];      // resolveMatches() calls waiting for the running one
+        this.animationGeneration = 0;   // Bumped by cancelAnimations(); older animations stop
+    }
+    
+    /**
+     * Stop every clear and fall animation without applying it or calling
+     * back, e.g. when a new run starts in this pit
+     */
+    cancelAnimations() {
+        this.animationGeneration++;
+        this.clearAnimationInProgress = false;
+        this.activeClearAnimations = 0;
+        this.activeFalls = 0;
+        this.fallCallbacks = [];
+        this.pendingResolves = [];
+        
+        while (this.clearingEffects.children.length > 0) {
+            this.clearingEffects.remove(this.clearingEffects.children[0]);
+        }
+    }
+    
+    /**
+     * Check if any clear animation is still running
+     */
+    isAnimating() {
+        return this.clearAnimationInProgress || this.activeClearAnimations > 0 || this.activeFalls > 0;
+    }
+    
+    /**
+     * The model's grid, exposed for rendering and read access
+     */
+    get grid() {
+        return this.model.grid;
     }
     
     /**
@@ -304,51 +342,28 @@ class Pit {
      * Check if a position is valid (inside the pit and not occupied)
      */
     isValidPosition(x, y, z) {
-        return (
-            x >= 0 && x < this.width &&
-            y >= 0 && y < this.depth &&
-            z >= 0 && z < this.height &&
-            this.grid[x][y][z] === null
-        );
+        return this.model.isValidPosition(x, y, z);
     }
     
     /**
      * Check if a polycube can be placed at its current position and rotation
      */
     canPlacePolycube(polycube) {
-        const positions = polycube.getWorldPositions();
-        
-        for (const [x, y, z] of positions) {
-            if (!this.isValidPosition(x, y, z)) {
-                return false;
-            }
-        }
-        
-        return true;
+        return this.model.canPlacePolycube(polycube);
     }
     
     /**
-     * Place a polycube in the pit
+     * Place a polycube in the pit, recording the tick it landed on
      */
-    placePolycube(polycube) {
-        const positions = polycube.getWorldPositions();
-        
-        // Add each cube of the polycube to the grid
-        for (const [x, y, z] of positions) {
-            if (x >= 0 && x < this.width && 
-                y >= 0 && y < this.depth && 
-                z >= 0 && z < this.height) {
-                this.grid[x][y][z] = polycube.color;
-            } else {
-                console.warn('Block placed outside pit bounds', x, y, z);
-                return false;
-            }
-        }
-        
-        // Add visual blocks to the scene
-        this.updateVisualBlocks();
-        
-        return true;
+    placePolycube(polycube, tick) {
+        return this.model.placePolycube(polycube, tick);
+    }
+    
+    /**
+     * Empty a set of cells without shifting anything
+     */
+    removeCells(positions) {
+        this.model.removeCells(positions);
     }
     
     /**
@@ -359,6 +374,7 @@ class Pit {
         while (this.placedBlocks.children.length > 0) {
             this.placedBlocks.remove(this.placedBlocks.children[0]);
         }
+        this.cellMeshes.clear();
         
         // Create geometry and materials once for performance
         const geometry = new THREE.BoxGeometry(0.95, 0.95, 0.95);
@@ -377,13 +393,13 @@ class Pit {
         for (let x = 0; x < this.width; x++) {
             for (let y = 0; y < this.depth; y++) {
                 for (let z = 0; z < this.height; z++) {
-                    const color = this.grid[x][y][z];
+                    const cell = this.grid[x][y][z];
                     
-                    if (color !== null) {
-                        // Create or reuse material with darker bottom face and layer-based tinting
-                        if (!materials[color]) {
-                            materials[color] = new THREE.MeshLambertMaterial({
-                                color: color,
+                    if (cell !== null) {
+                        // Create or reuse material (one per palette color) with darker bottom face and layer-based tinting
+                        if (!materials[cell.color]) {
+                            materials[cell.color] = new THREE.MeshLambertMaterial({
+                                color: this.model.colorOf(cell),
                                 transparent: true,
                                 opacity: CONFIG.BLOCK_OPACITY,
                                 side: THREE.DoubleSide,
@@ -406,7 +422,7 @@ class Pit {
                         }
                         
                         // Create the main cube
-                        const cube = new THREE.Mesh(geometry, materials[color]);
+                        const cube = new THREE.Mesh(geometry, materials[cell.color]);
                         cube.position.set(x, y, z);
                         this.placedBlocks.add(cube);
                         
@@ -414,6 +430,8 @@ class Pit {
                         const edges = new THREE.Mesh(edgeGeometry, edgeMaterial);
                         edges.position.set(x, y, z);
                         this.placedBlocks.add(edges);
+                        
+                        this.cellMeshes.set(`${x},${y},${z}`, [cube, edges]);
                     }
                 }
             }
@@ -424,33 +442,37 @@ class Pit {
      * Check if a layer is complete (all cells filled)
      */
     isLayerComplete(z) {
-        for (let x = 0; x < this.width; x++) {
-            for (let y = 0; y < this.depth; y++) {
-                if (this.grid[x][y][z] === null) {
-                    return false;
-                }
-            }
-        }
-        return true;
+        return this.model.isLayerComplete(z);
     }
     
     /**
-     * Clear a layer with animation and shift all layers above down
+     * Clear the cells of a set of matches together with an animation, then
+     * update the grid (see PitModel.clearMatches). Matches come from
+     * PitModel.findMatches; the look is the CONFIG.CLEAR_ANIMATIONS style
+     * of the biggest match
+     * Returns a function that skips the rest of the animation and updates
+     * the grid right away
      */
-    clearLayerWithAnimation(z, callback) {
-        // Get blocks in the layer to animate
-        const layerBlocks = [];
+    clearMatchesWithAnimation(matches, callback) {
+        const biggest = matches.reduce((best, match) => match.cells.length > best.cells.length ? match : best);
+        const style = CONFIG.CLEAR_ANIMATIONS[biggest.animation] || CONFIG.CLEAR_ANIMATIONS.line;
+        const randomIn = ([min, max]) => min + Math.random() * (max - min);
+        const generation = this.animationGeneration;
+        this.activeClearAnimations++;
+        let finished = false;
+        let particles = null;
+        
+        // Get blocks in the set to animate
+        const clearBlocks = [];
         const blockPositions = [];
         const blockColors = [];
         
         // Store block data for animation
-        for (let x = 0; x < this.width; x++) {
-            for (let y = 0; y < this.depth; y++) {
-                const color = this.grid[x][y][z];
-                if (color !== null) {
-                    blockPositions.push([x, y, z]);
-                    blockColors.push(color);
-                }
+        for (const [x, y, z] of PitModel.cellsOf(matches)) {
+            const cell = this.model.isInside(x, y, z) ? this.grid[x][y][z] : null;
+            if (cell !== null) {
+                blockPositions.push([x, y, z]);
+                blockColors.push(this.model.colorOf(cell));
             }
         }
         
@@ -473,46 +495,48 @@ class Pit {
             block.position.set(x, y, z);
             block.userData.originalColor = color;
             block.userData.originalPos = [x, y, z];
-            layerBlocks.push(block);
+            clearBlocks.push(block);
             this.clearingEffects.add(block);
         }
         
         // Animation sequence:
-        // 1. Wave and flash effect
-        // 2. Colorful glow
-        // 3. Shrink blocks and create enhanced particles
-        // 4. Remove layer and shift
+        // 1. Flash (and wave, for styles that have one)
+        // 2. Shrink blocks and create particles
+        // 3. Remove the cells and collapse the grid
         
         // Flash and wave effect
-        const flashDuration = 0.6; // seconds
         const startTime = performance.now();
         const centerX = this.width / 2;
         const centerY = this.depth / 2;
         
         const flashAnimation = () => {
+            if (finished || generation !== this.animationGeneration) return; // Done early or cancelled
+            
             const elapsed = (performance.now() - startTime) / 1000;
-            const progress = Math.min(elapsed / flashDuration, 1);
+            const progress = Math.min(elapsed / style.FLASH_DURATION, 1);
             
             if (progress < 1) {
                 // Color transition effect
                 const hue = progress * 360; // Full color cycle
                 const pulseIntensity = 0.7 + 0.3 * Math.sin(progress * Math.PI * 6);
                 
-                for (const block of layerBlocks) {
-                    // Get distance from center for wave effect
+                for (const block of clearBlocks) {
+                    // Get distance from center for wave effect (flat flash without one)
                     const [x, y, z] = block.userData.originalPos;
-                    const dx = x - centerX;
-                    const dy = y - centerY;
-                    const distanceFromCenter = Math.sqrt(dx * dx + dy * dy);
+                    const distanceFromCenter = style.WAVE ? Math.hypot(x - centerX, y - centerY) : 0;
                     
                     // Wave effect - blocks rise and fall in a ripple pattern
-                    const waveOffset = progress * 6 - distanceFromCenter * 0.8;
-                    const waveHeight = 0.2 * Math.sin(waveOffset * Math.PI * 2);
-                    block.position.z = z + waveHeight;
+                    if (style.WAVE) {
+                        const waveOffset = progress * 6 - distanceFromCenter * 0.8;
+                        block.position.z = z + 0.2 * Math.sin(waveOffset * Math.PI * 2);
+                    } else if (style.RISE) {
+                        // Or float up together, e.g. a column lifting out of the stack
+                        block.position.z = z + style.RISE * progress;
+                    }
                     
                     // Color cycling with HSL
                     const cycleHue = (hue + distanceFromCenter * 30) % 360;
-                    block.material.color.setHSL(cycleHue/360, 1, 0.7);
+                    block.material.color.setHSL(cycleHue / 360, 1, 0.7);
                     block.material.opacity = 0.7 + 0.3 * pulseIntensity;
                     
                     // Scale pulsing
@@ -522,31 +546,31 @@ class Pit {
                 
                 requestAnimationFrame(flashAnimation);
             } else {
-                // Flash done, start enhanced particles and shrink
+                // Flash done, start particles and shrink
                 startShrinkAndParticles();
             }
         };
         
         const startShrinkAndParticles = () => {
             // Create particle system
-            const particles = new THREE.Group();
+            particles = new THREE.Group();
             this.clearingEffects.add(particles);
             
-            // Create more particles with better distribution and varied sizes
-            for (let i = 0; i < layerBlocks.length; i++) {
+            // Create particles for each block
+            for (let i = 0; i < clearBlocks.length; i++) {
                 const [x, y, z] = blockPositions[i];
                 const color = blockColors[i];
                 
-                // Create between 8-12 particles per block
-                const particleCount = 8 + Math.floor(Math.random() * 5);
+                const [minCount, maxCount] = style.PARTICLES;
+                const particleCount = minCount + Math.floor(Math.random() * (maxCount - minCount + 1));
                 
                 for (let j = 0; j < particleCount; j++) {
                     // Varied particle sizes
-                    const particleSize = 0.08 + Math.random() * 0.18;
+                    const particleSize = randomIn(style.PARTICLE_SIZE);
                     
                     // Use different geometries for visual variety
                     let particleGeometry;
-                    const geoType = Math.floor(Math.random() * 3);
+                    const geoType = Math.floor(Math.random() * style.PARTICLE_SHAPES);
                     if (geoType === 0) {
                         particleGeometry = new THREE.BoxGeometry(
                             particleSize, particleSize, particleSize
@@ -566,15 +590,15 @@ class Pit {
                     
                     const particle = new THREE.Mesh(particleGeometry, particleMaterial);
                     
-                    // Position with slightly more scatter
+                    // Position with some scatter
                     particle.position.set(
-                        x + (Math.random() - 0.5) * 0.7,
-                        y + (Math.random() - 0.5) * 0.7,
-                        z + (Math.random() - 0.5) * 0.7
+                        x + (Math.random() - 0.5) * style.SCATTER,
+                        y + (Math.random() - 0.5) * style.SCATTER,
+                        z + (Math.random() - 0.5) * style.SCATTER
                     );
                     
-                    // More varied velocity for particles
-                    const speed = 1 + Math.random() * 3;
+                    // Random velocity
+                    const speed = randomIn(style.PARTICLE_SPEED);
                     const angle = Math.random() * Math.PI * 2;
                     const elevation = Math.random() * Math.PI - Math.PI/2;
                     
@@ -592,22 +616,23 @@ class Pit {
                     ];
                     
                     // Different lifespans for particles
-                    particle.userData.lifespan = 0.7 + Math.random() * 0.3;
+                    particle.userData.lifespan = randomIn(style.PARTICLE_LIFESPAN);
                     
                     particles.add(particle);
                 }
             }
             
             // Shrink and particle animation
-            const shrinkDuration = 0.7; // slightly longer
             const shrinkStartTime = performance.now();
             
             const shrinkAndParticlesAnimation = () => {
+                if (finished || generation !== this.animationGeneration) return; // Done early or cancelled
+                
                 const elapsed = (performance.now() - shrinkStartTime) / 1000;
-                const progress = Math.min(elapsed / shrinkDuration, 1);
+                const progress = Math.min(elapsed / style.SHRINK_DURATION, 1);
                 
-                // Shrink the original blocks with improved effect
-                for (const block of layerBlocks) {
+                // Shrink the original blocks
+                for (const block of clearBlocks) {
                     const scale = Math.max(0, 1 - progress * 1.2); // Faster shrink
                     block.scale.set(scale, scale, scale);
                     
@@ -621,180 +646,179 @@ class Pit {
                     block.material.opacity = Math.max(0, 1 - progress * 1.5);
                 }
                 
-                // Enhanced particle effects
-                if (particles) {
-                    // Create a list of particles to remove
-                    const particlesToRemove = [];
-                    
-                    for (let i = 0; i < particles.children.length; i++) {
-                        const particle = particles.children[i];
-                        const velocity = particle.userData.velocity;
-                        const rotation = particle.userData.rotation;
-                        const particleLifespan = particle.userData.lifespan;
-                        
-                        // Each particle has its own lifespan
-                        const particleProgress = Math.min(elapsed / particleLifespan, 1);
-                        
-                        // Apply velocity with increasing speed
-                        const speedFactor = 0.02 * (1 + particleProgress);
-                        particle.position.x += velocity[0] * speedFactor;
-                        particle.position.y += velocity[1] * speedFactor;
-                        particle.position.z += velocity[2] * speedFactor;
-                        
-                        // Add rotation to particles
-                        particle.rotation.x += rotation[0];
-                        particle.rotation.y += rotation[1];
-                        particle.rotation.z += rotation[2];
-                        
-                        // Scale particles down as they move
-                        const particleScale = 1 - particleProgress;
-                        particle.scale.set(particleScale, particleScale, particleScale);
-                        
-                        // Fade out particle with slight pulsing
-                        const fade = Math.max(0, 1 - particleProgress * 1.2);
-                        const pulse = 0.2 * Math.sin(particleProgress * 10);
-                        particle.material.opacity = fade + pulse;
-                        
-                        // Mark particles for removal if they've completed their lifespan
-                        if (particleProgress >= 1) {
-                            particlesToRemove.push(particle);
-                        }
-                    }
-                    
-                    // Remove marked particles after iteration
-                    for (const particle of particlesToRemove) {
-                        particles.remove(particle);
+                // Particle effects
+                const particlesToRemove = [];
+                
+                for (let i = 0; i < particles.children.length; i++) {
+                    const particle = particles.children[i];
+                    const velocity = particle.userData.velocity;
+                    const rotation = particle.userData.rotation;
+                    const particleLifespan = particle.userData.lifespan;
+                    
+                    // Each particle has its own lifespan
+                    const particleProgress = Math.min(elapsed / particleLifespan, 1);
+                    
+                    // Apply velocity with increasing speed
+                    const speedFactor = 0.02 * (1 + particleProgress);
+                    particle.position.x += velocity[0] * speedFactor;
+                    particle.position.y += velocity[1] * speedFactor;
+                    particle.position.z += velocity[2] * speedFactor;
+                    
+                    // Apply rotation
+                    particle.rotation.x += rotation[0];
+                    particle.rotation.y += rotation[1];
+                    particle.rotation.z += rotation[2];
+                    
+                    // Scale particles down as they move
+                    const particleScale = 1 - particleProgress;
+                    particle.scale.set(particleScale, particleScale, particleScale);
+                    
+                    // Fade out particle with slight pulsing
+                    const fade = Math.max(0, 1 - particleProgress * 1.2);
+                    const pulse = 0.2 * Math.sin(particleProgress * 10);
+                    particle.material.opacity = fade + pulse;
+                    
+                    // Mark particles for removal if they've completed their lifespan
+                    if (particleProgress >= 1) {
+                        particlesToRemove.push(particle);
                     }
                 }
                 
+                // Remove marked particles after iteration
+                for (const particle of particlesToRemove) {
+                    particles.remove(particle);
+                }
+                
                 if (progress < 1) {
                     requestAnimationFrame(shrinkAndParticlesAnimation);
                 } else {
-                    // Animation complete - now update the grid
-                    
-                    // Remove animation objects
-                    this.clearingEffects.remove(particles);
-                    for (const block of layerBlocks) {
-                        this.clearingEffects.remove(block);
-                    }
-                    
-                    // Perform the actual grid update
-                    this.clearLayer(z);
-                    
-                    // Invoke callback when done
-                    if (callback) callback();
+                    finish();
                 }
             };
             
             requestAnimationFrame(shrinkAndParticlesAnimation);
         };
         
-        // Start the animation sequence
-        requestAnimationFrame(flashAnimation);
-    }
-    
-    /**
-     * Clear a layer and shift all layers above down
-     */
-    clearLayer(z) {
-        // Shift all layers above z down by one
-        for (let k = z; k < this.height - 1; k++) {
-            for (let x = 0; x < this.width; x++) {
-                for (let y = 0; y < this.depth; y++) {
-                    this.grid[x][y][k] = this.grid[x][y][k + 1];
-                }
+        // Animation complete (or cut short) - now update the grid, once
+        const finish = () => {
+            if (finished || generation !== this.animationGeneration) return;
+            finished = true;
+            
+            // Remove animation objects
+            if (particles) {
+                this.clearingEffects.remove(particles);
             }
-        }
-        
-        // Clear the top layer
-        for (let x = 0; x < this.width; x++) {
-            for (let y = 0; y < this.depth; y++) {
-                this.grid[x][y][this.height - 1] = null;
+            for (const block of clearBlocks) {
+                this.clearingEffects.remove(block);
             }
-        }
+            
+            // Perform the actual grid update
+            this.activeClearAnimations--;
+            this.model.clearMatches(matches);
+            
+            // Invoke callback when done (and cascading cubes have landed)
+            this.afterFalls(() => {
+                if (callback) callback();
+            });
+        };
         
-        // Update visual blocks
-        this.updateVisualBlocks();
+        // Start the animation sequence
+        requestAnimationFrame(flashAnimation);
+        return finish;
     }
     
     /**
-     * Check for and clear completed layers
-     * Returns the number of layers cleared
+     * Animate cubes dropping from where they were to where the model let them
+     * fall (cascade gravity), accelerating like a real fall
      */
-    checkAndClearLayers(callback) {
-        // If animation already in progress, don't start a new one
-        if (this.clearAnimationInProgress) {
-            return 0;
-        }
+    animateFalls(falls) {
+        const moving = falls.map(({ from, to }) => ({
+            meshes: this.cellMeshes.get(to.join(',')) || [],
+            from: from[2],
+            to: to[2]
+        }));
         
-        // Find completed layers
-        this.layersToClear = [];
-        for (let z = 0; z < this.height; z++) {
-            if (this.isLayerComplete(z)) {
-                this.layersToClear.push(z);
-            }
+        // Start every cube at its old height
+        for (const { meshes, from } of moving) {
+            meshes.forEach(mesh => { mesh.position.z = from; });
         }
         
-        const layersCount = this.layersToClear.length;
+        this.activeFalls++;
+        const startTime = performance.now();
+        const generation = this.animationGeneration;
         
-        // If layers to clear, start animation
-        if (layersCount > 0) {
-            this.clearAnimationInProgress = true;
+        const fallAnimation = () => {
+            if (generation !== this.animationGeneration) return; // Cancelled
             
-            // Add safety timeout to prevent infinite loops
-            const safetyTimeout = setTimeout(() => {
-                console.warn('Layer clearing animation timed out - forcing completion');
-                this.clearAnimationInProgress = false;
-                if (callback) callback(layersCount);
-            }, 5000); // 5 second timeout
+            const elapsed = (performance.now() - startTime) / 1000;
+            const fallen = 0.5 * CONFIG.CASCADE_FALL_ACCELERATION * elapsed * elapsed;
+            let stillFalling = false;
             
-            // Process one layer at a time with animation
-            const processNextLayer = () => {
-                if (this.layersToClear.length > 0) {
-                    const z = this.layersToClear.shift();
-                    // Adjust z index for layers that have already been cleared
-                    const adjustedZ = z - (layersCount - this.layersToClear.length - 1);
-                    this.clearLayerWithAnimation(adjustedZ, () => {
-                        clearTimeout(safetyTimeout); // Clear timeout on successful completion
-                        processNextLayer();
-                    });
-                } else {
-                    // All layers processed
-                    clearTimeout(safetyTimeout); // Clear timeout on successful completion
-                    this.clearAnimationInProgress = false;
-                    if (callback) callback(layersCount);
-                }
-            };
+            for (const { meshes, from, to } of moving) {
+                const z = Math.max(to, from - fallen);
+                if (z > to) stillFalling = true;
+                meshes.forEach(mesh => { mesh.position.z = z; });
+            }
             
-            // Start processing layers
-            processNextLayer();
-        } else if (callback) {
-            // No layers to clear, but still call callback with 0
-            callback(0);
-        }
+            if (stillFalling) {
+                requestAnimationFrame(fallAnimation);
+            } else {
+                this.activeFalls--;
+                if (this.activeFalls === 0) {
+                    const callbacks = this.fallCallbacks;
+                    this.fallCallbacks = [];
+                    callbacks.forEach(callback => callback());
+                }
+            }
+        };
         
-        return layersCount;
+        requestAnimationFrame(fallAnimation);
     }
     
     /**
-     * Check if the game is over (blocks reach the top)
+     * Call back once no cubes are falling any more (right away if none are)
      */
-    isGameOver(nextPolycube) {
-        // Try all possible positions at the top layer
-        for (let x = 0; x < this.width; x++) {
-            for (let y = 0; y < this.depth; y++) {
-                // Try to place the block at this position
-                nextPolycube.position = [x, y, this.height - 1];
-                
-                // If we can place it anywhere, game is not over
-                if (this.canPlacePolycube(nextPolycube)) {
-                    return false;
-                }
-            }
+    afterFalls(callback) {
+        if (this.activeFalls === 0) {
+            callback();
+        } else {
+            this.fallCallbacks.push(callback);
         }
-        
-        // If we couldn't place the block anywhere at the top layer, game is over
-        return true;
+    }
+    
+    /**
+     * Find where a block spawns (see PitModel.getSpawnPosition)
+     */
+    getSpawnPosition(polycube, offsets = CONFIG.TOP_OUT.SPAWN_OFFSETS) {
+        return this.model.getSpawnPosition(polycube, offsets);
+    }
+    
+    /**
+     * Check if the game is over (the next block can't spawn)
+     */
+    isGameOver(nextPolycube) {
+        return this.model.isGameOver(nextPolycube, CONFIG.TOP_OUT.SPAWN_OFFSETS);
+    }
+    
+    /**
+     * Check if a landed block ends the game under the configured lock-out rule
+     */
+    isLockOut(positions) {
+        return this.model.isLockOut(positions, CONFIG.TOP_OUT.LOCK_OUT, CONFIG.TOP_OUT.RIM_LAYERS);
+    }
+    
+    /**
+     * Height of the stack (see PitModel.getStackHeight)
+     */
+    getStackHeight() {
+        return this.model.getStackHeight();
+    }
+    
+    /**
+     * Check if the stack reached the danger height
+     */
+    isInDanger() {
+        return this.getStackHeight() >= Math.ceil(this.height * CONFIG.TOP_OUT.DANGER_HEIGHT);
     }
     
     /**
@@ -802,667 +826,111 @@ class Pit {
      * This can be used for special bonuses or effects
      */
     isPitEmpty() {
-        for (let x = 0; x < this.width; x++) {
-            for (let y = 0; y < this.depth; y++) {
-                for (let z = 0; z < this.height; z++) {
-                    if (this.grid[x][y][z] !== null) {
-                        return false;
-                    }
-                }
-            }
-        }
-        return true;
+        return this.model.isPitEmpty();
     }
     
     /**
      * Reset the pit for a new game
      */
     reset() {
-        // Clear the grid
-        for (let x = 0; x < this.width; x++) {
-            for (let y = 0; y < this.depth; y++) {
-                for (let z = 0; z < this.height; z++) {
-                    this.grid[x][y][z] = null;
-                }
-            }
-        }
-        
-        // Reset visual blocks
-        this.updateVisualBlocks();
+        this.cancelAnimations();
+        this.model.reset();
+    }
+    
+    /**
+     * Create garbage layers with random holes (see PitModel.createGarbageLayers)
+     */
+    createGarbageLayers(count, random, holesPerLayer = CONFIG.GARBAGE.HOLES_PER_LAYER) {
+        return this.model.createGarbageLayers(count, random, holesPerLayer);
+    }
+    
+    /**
+     * Push the stack up and insert garbage layers at the bottom
+     * Returns the number of filled cells pushed out through the top
+     */
+    insertGarbageLayers(layers) {
+        return this.model.insertGarbageLayers(layers);
     }
     
     /**
      * Check if a horizontal line is complete (all cells filled with same color)
      */
     isHorizontalLineComplete(x, z) {
-        const color = this.grid[x][0][z];
-        if (color === null) return false;
-        
-        for (let y = 0; y < this.depth; y++) {
-            if (this.grid[x][y][z] !== color) {
-                return false;
-            }
-        }
-        return true;
+        return this.model.isHorizontalLineComplete(x, z);
     }
     
     /**
      * Check if a vertical line is complete (all cells filled with same color)
      */
     isVerticalLineComplete(y, z) {
-        const color = this.grid[0][y][z];
-        if (color === null) return false;
-        
-        for (let x = 0; x < this.width; x++) {
-            if (this.grid[x][y][z] !== color) {
-                return false;
-            }
-        }
-        return true;
+        return this.model.isVerticalLineComplete(y, z);
     }
     
     /**
-     * Clear a horizontal line with animation
+     * Resolve matches with animations: every matched cell of a step is
+     * cleared at once, then the settled grid is checked again, so chain
+     * reactions clear in further steps
+     * onStep({ chain, total, breakdown, matches }) is called after each step
+     * (chain counts from 1; breakdown is PitModel.countClears), onDone(steps)
+     * once the grid is stable, right away if nothing matched
+     * A call made while another one is still clearing waits for it to finish
+     * Returns the number of matches in the first step (0 for a waiting call)
      */
-    clearHorizontalLineWithAnimation(x, z, callback) {
-        // Get blocks in the line to animate
-        const lineBlocks = [];
-        const blockPositions = [];
-        const blockColors = [];
-        
-        // Store block data for animation
-        for (let y = 0; y < this.depth; y++) {
-            const color = this.grid[x][y][z];
-            if (color !== null) {
-                blockPositions.push([x, y, z]);
-                blockColors.push(color);
-            }
+    resolveMatches(onStep, onDone) {
+        if (this.clearAnimationInProgress) {
+            this.pendingResolves.push([onStep, onDone]);
+            return 0;
         }
         
-        // Create animation effect blocks
-        const geometry = new THREE.BoxGeometry(0.95, 0.95, 0.95);
-        
-        // Create glowing blocks for the flash effect
-        for (let i = 0; i < blockPositions.length; i++) {
-            const [x, y, z] = blockPositions[i];
-            const color = blockColors[i];
-            
-            // Create a glowing material
-            const material = new THREE.MeshBasicMaterial({
-                color: 0xffffff,
-                transparent: true,
-                opacity: 0.7
-            });
-            
-            const block = new THREE.Mesh(geometry, material);
-            block.position.set(x, y, z);
-            block.userData.originalColor = color;
-            block.userData.originalPos = [x, y, z];
-            lineBlocks.push(block);
-            this.clearingEffects.add(block);
+        const firstMatches = this.model.findMatches();
+        if (firstMatches.length === 0) {
+            if (onDone) onDone(0);
+            return 0;
         }
         
-        // Animation sequence:
-        // 1. Flash effect
-        // 2. Shrink blocks and create particles
-        // 3. Remove line and shift blocks
-        
-        // Flash effect
-        const flashDuration = 0.4; // seconds
-        const startTime = performance.now();
+        this.clearAnimationInProgress = true;
+        const generation = this.animationGeneration;
+        let chain = 0;
         
-        const flashAnimation = () => {
-            const elapsed = (performance.now() - startTime) / 1000;
-            const progress = Math.min(elapsed / flashDuration, 1);
-            
-            if (progress < 1) {
-                // Color transition effect
-                const hue = progress * 360; // Full color cycle
-                const pulseIntensity = 0.7 + 0.3 * Math.sin(progress * Math.PI * 6);
-                
-                for (const block of lineBlocks) {
-                    // Color cycling with HSL
-                    block.material.color.setHSL(hue/360, 1, 0.7);
-                    block.material.opacity = 0.7 + 0.3 * pulseIntensity;
-                    
-                    // Scale pulsing
-                    const scale = 1 + 0.15 * Math.sin(progress * Math.PI * 6);
-                    block.scale.set(scale, scale, scale);
-                }
-                
-                requestAnimationFrame(flashAnimation);
-            } else {
-                // Flash done, start shrink and particles
-                startShrinkAndParticles();
+        // Report the end, then start the next waiting call
+        const finish = () => {
+            this.clearAnimationInProgress = false;
+            if (onDone) onDone(chain);
+            if (this.pendingResolves.length > 0) {
+                this.resolveMatches(...this.pendingResolves.shift());
             }
         };
         
-        const startShrinkAndParticles = () => {
-            // Create particle system
-            const particles = new THREE.Group();
-            this.clearingEffects.add(particles);
+        const runStep = (matches) => {
+            chain++;
             
-            // Create particles for each block
-            for (let i = 0; i < lineBlocks.length; i++) {
-                const [x, y, z] = blockPositions[i];
-                const color = blockColors[i];
+            // Add safety timeout to prevent a stuck animation from freezing the game,
+            // e.g. while requestAnimationFrame is throttled in a hidden tab: the
+            // step still clears, scores and chains, only without the rest of the animation
+            const safetyTimeout = setTimeout(() => {
+                if (generation !== this.animationGeneration) return; // Cancelled
+                console.warn('Clear animation timed out - forcing completion');
+                finishAnimation();
+            }, 5000); // 5 second timeout
+            
+            const finishAnimation = this.clearMatchesWithAnimation(matches, () => {
+                clearTimeout(safetyTimeout);
                 
-                // Create between 4-6 particles per block
-                const particleCount = 4 + Math.floor(Math.random() * 3);
+                if (onStep) {
+                    onStep({ chain, total: matches.length, breakdown: PitModel.countClears(matches), matches });
+                }
                 
-                for (let j = 0; j < particleCount; j++) {
-                    // Varied particle sizes
-                    const particleSize = 0.08 + Math.random() * 0.12;
-                    
-                    // Use different geometries for visual variety
-                    let particleGeometry;
-                    const geoType = Math.floor(Math.random() * 2);
-                    if (geoType === 0) {
-                        particleGeometry = new THREE.BoxGeometry(
-                            particleSize, particleSize, particleSize
-                        );
-                    } else {
-                        particleGeometry = new THREE.SphereGeometry(particleSize/2, 4, 4);
-                    }
-                    
-                    // Particle with glow effect
-                    const particleMaterial = new THREE.MeshBasicMaterial({
-                        color: color,
-                        transparent: true,
-                        opacity: 0.9
-                    });
-                    
-                    const particle = new THREE.Mesh(particleGeometry, particleMaterial);
-                    
-                    // Position with slight scatter
-                    particle.position.set(
-                        x + (Math.random() - 0.5) * 0.5,
-                        y + (Math.random() - 0.5) * 0.5,
-                        z + (Math.random() - 0.5) * 0.5
-                    );
-                    
-                    // Random velocity
-                    const speed = 1 + Math.random() * 2;
-                    const angle = Math.random() * Math.PI * 2;
-                    const elevation = Math.random() * Math.PI - Math.PI/2;
-                    
-                    particle.userData.velocity = [
-                        speed * Math.cos(angle) * Math.cos(elevation),
-                        speed * Math.sin(angle) * Math.cos(elevation),
-                        speed * Math.sin(elevation)
-                    ];
-                    
-                    // Add rotation
-                    particle.userData.rotation = [
-                        (Math.random() - 0.5) * 0.2,
-                        (Math.random() - 0.5) * 0.2,
-                        (Math.random() - 0.5) * 0.2
-                    ];
-                    
-                    // Different lifespans for particles
-                    particle.userData.lifespan = 0.5 + Math.random() * 0.2;
-                    
-                    particles.add(particle);
-                }
-            }
-            
-            // Shrink and particle animation
-            const shrinkDuration = 0.5;
-            const shrinkStartTime = performance.now();
-            
-            const shrinkAndParticlesAnimation = () => {
-                const elapsed = (performance.now() - shrinkStartTime) / 1000;
-                const progress = Math.min(elapsed / shrinkDuration, 1);
-                
-                // Shrink the original blocks
-                for (const block of lineBlocks) {
-                    const scale = Math.max(0, 1 - progress * 1.2);
-                    block.scale.set(scale, scale, scale);
-                    
-                    // Add slight spin during shrink
-                    block.rotation.x += 0.03;
-                    block.rotation.y += 0.02;
-                    
-                    // Color fade to white
-                    const currentHue = block.material.color.getHSL({h:0, s:0, l:0}).h;
-                    block.material.color.setHSL(currentHue, 1 - progress, 0.7 + progress * 0.3);
-                    block.material.opacity = Math.max(0, 1 - progress * 1.5);
-                }
-                
-                // Particle effects
-                if (particles) {
-                    const particlesToRemove = [];
-                    
-                    for (let i = 0; i < particles.children.length; i++) {
-                        const particle = particles.children[i];
-                        const velocity = particle.userData.velocity;
-                        const rotation = particle.userData.rotation;
-                        const particleLifespan = particle.userData.lifespan;
-                        
-                        const particleProgress = Math.min(elapsed / particleLifespan, 1);
-                        
-                        // Apply velocity
-                        const speedFactor = 0.02 * (1 + particleProgress);
-                        particle.position.x += velocity[0] * speedFactor;
-                        particle.position.y += velocity[1] * speedFactor;
-                        particle.position.z += velocity[2] * speedFactor;
-                        
-                        // Apply rotation
-                        particle.rotation.x += rotation[0];
-                        particle.rotation.y += rotation[1];
-                        particle.rotation.z += rotation[2];
-                        
-                        // Scale particles down
-                        const particleScale = 1 - particleProgress;
-                        particle.scale.set(particleScale, particleScale, particleScale);
-                        
-                        // Fade out particle
-                        const fade = Math.max(0, 1 - particleProgress * 1.2);
-                        const pulse = 0.2 * Math.sin(particleProgress * 10);
-                        particle.material.opacity = fade + pulse;
-                        
-                        if (particleProgress >= 1) {
-                            particlesToRemove.push(particle);
-                        }
-                    }
-                    
-                    for (const particle of particlesToRemove) {
-                        particles.remove(particle);
-                    }
-                }
-                
-                if (progress < 1) {
-                    requestAnimationFrame(shrinkAndParticlesAnimation);
+                // The collapse may have completed new matches
+                const nextMatches = this.model.findMatches();
+                if (nextMatches.length > 0) {
+                    runStep(nextMatches);
                 } else {
-                    // Animation complete - now update the grid
-                    
-                    // Remove animation objects
-                    this.clearingEffects.remove(particles);
-                    for (const block of lineBlocks) {
-                        this.clearingEffects.remove(block);
-                    }
-                    
-                    // Perform the actual grid update
-                    this.clearHorizontalLine(x, z);
-                    
-                    // Invoke callback when done
-                    if (callback) callback();
+                    finish();
                 }
-            };
-            
-            requestAnimationFrame(shrinkAndParticlesAnimation);
-        };
-        
-        // Start the animation sequence
-        requestAnimationFrame(flashAnimation);
-    }
-    
-    /**
-     * Clear a vertical line with animation
-     */
-    clearVerticalLineWithAnimation(y, z, callback) {
-        // Get blocks in the line to animate
-        const lineBlocks = [];
-        const blockPositions = [];
-        const blockColors = [];
-        
-        // Store block data for animation
-        for (let x = 0; x < this.width; x++) {
-            const color = this.grid[x][y][z];
-            if (color !== null) {
-                blockPositions.push([x, y, z]);
-                blockColors.push(color);
-            }
-        }
-        
-        // Create animation effect blocks
-        const geometry = new THREE.BoxGeometry(0.95, 0.95, 0.95);
-        
-        // Create glowing blocks for the flash effect
-        for (let i = 0; i < blockPositions.length; i++) {
-            const [x, y, z] = blockPositions[i];
-            const color = blockColors[i];
-            
-            // Create a glowing material
-            const material = new THREE.MeshBasicMaterial({
-                color: 0xffffff,
-                transparent: true,
-                opacity: 0.7
             });
-            
-            const block = new THREE.Mesh(geometry, material);
-            block.position.set(x, y, z);
-            block.userData.originalColor = color;
-            block.userData.originalPos = [x, y, z];
-            lineBlocks.push(block);
-            this.clearingEffects.add(block);
-        }
-        
-        // Animation sequence:
-        // 1. Flash effect
-        // 2. Shrink blocks and create particles
-        // 3. Remove line and shift blocks
-        
-        // Flash effect
-        const flashDuration = 0.4; // seconds
-        const startTime = performance.now();
-        
-        const flashAnimation = () => {
-            const elapsed = (performance.now() - startTime) / 1000;
-            const progress = Math.min(elapsed / flashDuration, 1);
-            
-            if (progress < 1) {
-                // Color transition effect
-                const hue = progress * 360; // Full color cycle
-                const pulseIntensity = 0.7 + 0.3 * Math.sin(progress * Math.PI * 6);
-                
-                for (const block of lineBlocks) {
-                    // Color cycling with HSL
-                    block.material.color.setHSL(hue/360, 1, 0.7);
-                    block.material.opacity = 0.7 + 0.3 * pulseIntensity;
-                    
-                    // Scale pulsing
-                    const scale = 1 + 0.15 * Math.sin(progress * Math.PI * 6);
-                    block.scale.set(scale, scale, scale);
-                }
-                
-                requestAnimationFrame(flashAnimation);
-            } else {
-                // Flash done, start shrink and particles
-                startShrinkAndParticles();
-            }
         };
         
-        const startShrinkAndParticles = () => {
-            // Create particle system
-            const particles = new THREE.Group();
-            this.clearingEffects.add(particles);
-            
-            // Create particles for each block
-            for (let i = 0; i < lineBlocks.length; i++) {
-                const [x, y, z] = blockPositions[i];
-                const color = blockColors[i];
-                
-                // Create between 4-6 particles per block
-                const particleCount = 4 + Math.floor(Math.random() * 3);
-                
-                for (let j = 0; j < particleCount; j++) {
-                    // Varied particle sizes
-                    const particleSize = 0.08 + Math.random() * 0.12;
-                    
-                    // Use different geometries for visual variety
-                    let particleGeometry;
-                    const geoType = Math.floor(Math.random() * 2);
-                    if (geoType === 0) {
-                        particleGeometry = new THREE.BoxGeometry(
-                            particleSize, particleSize, particleSize
-                        );
-                    } else {
-                        particleGeometry = new THREE.SphereGeometry(particleSize/2, 4, 4);
-                    }
-                    
-                    // Particle with glow effect
-                    const particleMaterial = new THREE.MeshBasicMaterial({
-                        color: color,
-                        transparent: true,
-                        opacity: 0.9
-                    });
-                    
-                    const particle = new THREE.Mesh(particleGeometry, particleMaterial);
-                    
-                    // Position with slight scatter
-                    particle.position.set(
-                        x + (Math.random() - 0.5) * 0.5,
-                        y + (Math.random() - 0.5) * 0.5,
-                        z + (Math.random() - 0.5) * 0.5
-                    );
-                    
-                    // Random velocity
-                    const speed = 1 + Math.random() * 2;
-                    const angle = Math.random() * Math.PI * 2;
-                    const elevation = Math.random() * Math.PI - Math.PI/2;
-                    
-                    particle.userData.velocity = [
-                        speed * Math.cos(angle) * Math.cos(elevation),
-                        speed * Math.sin(angle) * Math.cos(elevation),
-                        speed * Math.sin(elevation)
-                    ];
-                    
-                    // Add rotation
-                    particle.userData.rotation = [
-                        (Math.random() - 0.5) * 0.2,
-                        (Math.random() - 0.5) * 0.2,
-                        (Math.random() - 0.5) * 0.2
-                    ];
-                    
-                    // Different lifespans for particles
-                    particle.userData.lifespan = 0.5 + Math.random() * 0.2;
-                    
-                    particles.add(particle);
-                }
-            }
-            
-            // Shrink and particle animation
-            const shrinkDuration = 0.5;
-            const shrinkStartTime = performance.now();
-            
-            const shrinkAndParticlesAnimation = () => {
-                const elapsed = (performance.now() - shrinkStartTime) / 1000;
-                const progress = Math.min(elapsed / shrinkDuration, 1);
-                
-                // Shrink the original blocks
-                for (const block of lineBlocks) {
-                    const scale = Math.max(0, 1 - progress * 1.2);
-                    block.scale.set(scale, scale, scale);
-                    
-                    // Add slight spin during shrink
-                    block.rotation.x += 0.03;
-                    block.rotation.y += 0.02;
-                    
-                    // Color fade to white
-                    const currentHue = block.material.color.getHSL({h:0, s:0, l:0}).h;
-                    block.material.color.setHSL(currentHue, 1 - progress, 0.7 + progress * 0.3);
-                    block.material.opacity = Math.max(0, 1 - progress * 1.5);
-                }
-                
-                // Particle effects
-                if (particles) {
-                    const particlesToRemove = [];
-                    
-                    for (let i = 0; i < particles.children.length; i++) {
-                        const particle = particles.children[i];
-                        const velocity = particle.userData.velocity;
-                        const rotation = particle.userData.rotation;
-                        const particleLifespan = particle.userData.lifespan;
-                        
-                        const particleProgress = Math.min(elapsed / particleLifespan, 1);
-                        
-                        // Apply velocity
-                        const speedFactor = 0.02 * (1 + particleProgress);
-                        particle.position.x += velocity[0] * speedFactor;
-                        particle.position.y += velocity[1] * speedFactor;
-                        particle.position.z += velocity[2] * speedFactor;
-                        
-                        // Apply rotation
-                        particle.rotation.x += rotation[0];
-                        particle.rotation.y += rotation[1];
-                        particle.rotation.z += rotation[2];
-                        
-                        // Scale particles down
-                        const particleScale = 1 - particleProgress;
-                        particle.scale.set(particleScale, particleScale, particleScale);
-                        
-                        // Fade out particle
-                        const fade = Math.max(0, 1 - particleProgress * 1.2);
-                        const pulse = 0.2 * Math.sin(particleProgress * 10);
-                        particle.material.opacity = fade + pulse;
-                        
-                        if (particleProgress >= 1) {
-                            particlesToRemove.push(particle);
-                        }
-                    }
-                    
-                    for (const particle of particlesToRemove) {
-                        particles.remove(particle);
-                    }
-                }
-                
-                if (progress < 1) {
-                    requestAnimationFrame(shrinkAndParticlesAnimation);
-                } else {
-                    // Animation complete - now update the grid
-                    
-                    // Remove animation objects
-                    this.clearingEffects.remove(particles);
-                    for (const block of lineBlocks) {
-                        this.clearingEffects.remove(block);
-                    }
-                    
-                    // Perform the actual grid update
-                    this.clearVerticalLine(y, z);
-                    
-                    // Invoke callback when done
-                    if (callback) callback();
-                }
-            };
-            
-            requestAnimationFrame(shrinkAndParticlesAnimation);
-        };
-        
-        // Start the animation sequence
-        requestAnimationFrame(flashAnimation);
-    }
-    
-    /**
-     * Clear a horizontal line and shift blocks down
-     */
-    clearHorizontalLine(x, z) {
-        // Shift all blocks above z down by one
-        for (let k = z; k < this.height - 1; k++) {
-            for (let y = 0; y < this.depth; y++) {
-                this.grid[x][y][k] = this.grid[x][y][k + 1];
-            }
-        }
-        
-        // Clear the top layer for this x position
-        for (let y = 0; y < this.depth; y++) {
-            this.grid[x][y][this.height - 1] = null;
-        }
-        
-        // Update visual blocks
-        this.updateVisualBlocks();
-    }
-    
-    /**
-     * Clear a vertical line and shift blocks down
-     */
-    clearVerticalLine(y, z) {
-        // Shift all blocks above z down by one
-        for (let k = z; k < this.height - 1; k++) {
-            for (let x = 0; x < this.width; x++) {
-                this.grid[x][y][k] = this.grid[x][y][k + 1];
-            }
-        }
-        
-        // Clear the top layer for this y position
-        for (let x = 0; x < this.width; x++) {
-            this.grid[x][y][this.height - 1] = null;
-        }
-        
-        // Update visual blocks
-        this.updateVisualBlocks();
-    }
-    
-    /**
-     * Check for and clear completed lines and layers
-     * Returns the total number of lines and layers cleared
-     */
-    checkAndClearLinesAndLayers(callback) {
-        // If animation already in progress, don't start a new one
-        if (this.clearAnimationInProgress) {
-            return 0;
-        }
-        
-        // Find completed lines and layers
-        const linesToClear = [];
-        const layersToClear = [];
-        
-        // Check for completed layers
-        for (let z = 0; z < this.height; z++) {
-            if (this.isLayerComplete(z)) {
-                layersToClear.push(z);
-            }
-        }
-        
-        // Check for completed horizontal lines
-        for (let z = 0; z < this.height; z++) {
-            for (let x = 0; x < this.width; x++) {
-                if (this.isHorizontalLineComplete(x, z)) {
-                    linesToClear.push({ type: 'horizontal', x, z });
-                }
-            }
-        }
-        
-        // Check for completed vertical lines
-        for (let z = 0; z < this.height; z++) {
-            for (let y = 0; y < this.depth; y++) {
-                if (this.isVerticalLineComplete(y, z)) {
-                    linesToClear.push({ type: 'vertical', y, z });
-                }
-            }
-        }
-        
-        const totalCleared = linesToClear.length + layersToClear.length;
-        
-        // If lines or layers to clear, start animation
-        if (totalCleared > 0) {
-            this.clearAnimationInProgress = true;
-            
-            // Add safety timeout to prevent infinite loops
-            const safetyTimeout = setTimeout(() => {
-                console.warn('Line/layer clearing animation timed out - forcing completion');
-                this.clearAnimationInProgress = false;
-                if (callback) callback(totalCleared);
-            }, 5000); // 5 second timeout
-            
-            // Process one line/layer at a time with animation
-            const processNext = () => {
-                if (linesToClear.length > 0) {
-                    const line = linesToClear.shift();
-                    if (line.type === 'horizontal') {
-                        this.clearHorizontalLineWithAnimation(line.x, line.z, () => {
-                            clearTimeout(safetyTimeout);
-                            processNext();
-                        });
-                    } else {
-                        this.clearVerticalLineWithAnimation(line.y, line.z, () => {
-                            clearTimeout(safetyTimeout);
-                            processNext();
-                        });
-                    }
-                } else if (layersToClear.length > 0) {
-                    const z = layersToClear.shift();
-                    // Adjust z index for layers that have already been cleared
-                    const adjustedZ = z - (layersToClear.length);
-                    this.clearLayerWithAnimation(adjustedZ, () => {
-                        clearTimeout(safetyTimeout);
-                        processNext();
-                    });
-                } else {
-                    // All lines and layers processed
-                    clearTimeout(safetyTimeout);
-                    this.clearAnimationInProgress = false;
-                    if (callback) callback(totalCleared);
-                }
-            };
-            
-            // Start processing lines and layers
-            processNext();
-        } else if (callback) {
-            // No lines or layers to clear, but still call callback with 0
-            callback(0);
-        }
-        
-        return totalCleared;
+        runStep(firstMatches);
+        return firstMatches.length;
     }
-} 
\ No newline at end of file
+}
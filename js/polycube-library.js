@@ -0,0 +1,306 @@
+/**
+ * PolycubeLibrary - Every free polycube up to pentacubes, generated
+ *
+ * Shapes are grown cube by cube and canonicalized under the 24 rotations
+ * of the cube (mirror images stay distinct), which gives 1 monocube,
+ * 1 dicube, 2 tricubes, 8 tetracubes and 29 pentacubes. Each shape gets a
+ * stable id, a display name, a color, a pivot (rotation center) and a kick
+ * class (row of CONFIG.ROTATION.KICKS). Well-known shapes are named from
+ * POLYCUBE_NAMES; the remaining 3D pentacubes are numbered in canonical order.
+ * Pivots default to the center of the bounding box.
+ */
+
+// Named shapes: sample blocks in any orientation, color as a palette index,
+// optional pivot in the same coordinates as the sample blocks
+const POLYCUBE_NAMES = [
+    { id: 'M1', name: 'Monocube', color: 9, blocks: [[0, 0, 0]] },
+    { id: 'D2', name: 'Dicube', color: 8, blocks: [[0, 0, 0], [1, 0, 0]] },
+    { id: 'I3', name: 'Line 3', color: 0, blocks: [[0, 0, 0], [1, 0, 0], [2, 0, 0]] },
+    { id: 'L3', name: 'Bend', color: 2, blocks: [[0, 0, 0], [1, 0, 0], [1, 1, 0]], pivot: [1, 0, 0] },
+    { id: 'I4', name: 'Line 4', color: 1, blocks: [[0, 0, 0], [1, 0, 0], [2, 0, 0], [3, 0, 0]] },
+    { id: 'O4', name: 'Square', color: 4, blocks: [[0, 0, 0], [1, 0, 0], [0, 1, 0], [1, 1, 0]] },
+    { id: 'T4', name: 'T', color: 3, blocks: [[0, 0, 0], [1, 0, 0], [2, 0, 0], [1, 1, 0]], pivot: [1, 0, 0] },
+    { id: 'L4', name: 'L', color: 8, blocks: [[0, 0, 0], [1, 0, 0], [2, 0, 0], [2, 1, 0]] },
+    { id: 'S4', name: 'Skew', color: 6, blocks: [[0, 0, 0], [1, 0, 0], [1, 0, 1], [2, 0, 1]] },
+    { id: 'B4', name: 'Branch', color: 7, blocks: [[0, 0, 0], [1, 0, 0], [0, 1, 0], [0, 0, 1]] },
+    { id: 'R4', name: 'Right screw', color: 9, blocks: [[0, 0, 0], [1, 0, 0], [1, 1, 0], [1, 1, 1]] },
+    { id: 'Q4', name: 'Left screw', color: 5, blocks: [[0, 0, 0], [0, 1, 0], [1, 1, 0], [1, 1, 1]] },
+
+    // The 12 flat pentacubes carry their pentomino letters
+    { id: 'F5', name: 'F', color: 0, blocks: [[1, 0, 0], [2, 0, 0], [0, 1, 0], [1, 1, 0], [1, 2, 0]] },
+    { id: 'I5', name: 'Line 5', color: 1, blocks: [[0, 0, 0], [1, 0, 0], [2, 0, 0], [3, 0, 0], [4, 0, 0]] },
+    { id: 'L5', name: 'Long L', color: 2, blocks: [[0, 0, 0], [1, 0, 0], [2, 0, 0], [3, 0, 0], [3, 1, 0]] },
+    { id: 'N5', name: 'N', color: 3, blocks: [[0, 0, 0], [1, 0, 0], [2, 0, 0], [2, 1, 0], [3, 1, 0]] },
+    { id: 'P5', name: 'P', color: 4, blocks: [[0, 0, 0], [1, 0, 0], [0, 1, 0], [1, 1, 0], [0, 2, 0]] },
+    { id: 'T5', name: 'Long T', color: 5, blocks: [[0, 0, 0], [1, 0, 0], [2, 0, 0], [1, 1, 0], [1, 2, 0]] },
+    { id: 'U5', name: 'U', color: 6, blocks: [[0, 0, 0], [2, 0, 0], [0, 1, 0], [1, 1, 0], [2, 1, 0]] },
+    { id: 'V5', name: 'V', color: 7, blocks: [[0, 0, 0], [1, 0, 0], [2, 0, 0], [0, 1, 0], [0, 2, 0]] },
+    { id: 'W5', name: 'W', color: 8, blocks: [[0, 0, 0], [1, 0, 0], [1, 1, 0], [2, 1, 0], [2, 2, 0]] },
+    { id: 'X5', name: 'X', color: 9, blocks: [[1, 0, 0], [0, 1, 0], [1, 1, 0], [2, 1, 0], [1, 2, 0]] },
+    { id: 'Y5', name: 'Y', color: 0, blocks: [[0, 0, 0], [1, 0, 0], [2, 0, 0], [3, 0, 0], [1, 1, 0]] },
+    { id: 'Z5', name: 'Z', color: 1, blocks: [[0, 0, 0], [1, 0, 0], [1, 1, 0], [1, 2, 0], [2, 2, 0]] }
+];
+
+// Shapes beyond pentacubes that the game also uses
+const POLYCUBE_EXTRAS = [
+    {
+        id: 'O8', name: 'Big cube', color: 5, kickClass: 'big', blocks: [
+            [0, 0, 0], [1, 0, 0], [0, 1, 0], [1, 1, 0],
+            [0, 0, 1], [1, 0, 1], [0, 1, 1], [1, 1, 1]
+        ]
+    }
+];
+
+class PolycubeLibrary {
+    /**
+     * Build the library up to maxSize cubes, coloring shapes from a palette
+     */
+    constructor(palette, maxSize = 5) {
+        this.palette = palette;
+        this.shapes = new Map(); // id -> { id, name, size, blocks, color, flat }
+        this.ids = new Map();    // canonical key -> id
+
+        // Index the named shapes by their canonical form
+        const names = new Map();
+        POLYCUBE_NAMES.forEach(entry => names.set(PolycubeLibrary.canonicalKey(entry.blocks), entry));
+
+        PolycubeLibrary.enumerate(maxSize).forEach((shapes, index) => {
+            const size = index + 1;
+            let unnamed = 0;
+
+            for (const blocks of shapes) {
+                const key = PolycubeLibrary.keyOf(blocks);
+                const named = names.get(key);
+                if (named) {
+                    this.add({ ...named, color: palette[named.color] });
+                } else {
+                    // Shapes without a common name are numbered (D = three-dimensional)
+                    unnamed++;
+                    const number = String(unnamed).padStart(2, '0');
+                    this.add({
+                        id: `D${size}-${number}`,
+                        name: `3D ${size}-cube ${unnamed}`,
+                        blocks,
+                        color: palette[(size + unnamed) % palette.length]
+                    });
+                }
+            }
+        });
+
+        POLYCUBE_EXTRAS.forEach(entry => this.add({ ...entry, color: palette[entry.color] }));
+    }
+
+    /**
+     * Shared library for the game, built once from CONFIG.BLOCK_COLORS
+     */
+    static getDefault() {
+        if (!PolycubeLibrary.defaultLibrary) {
+            PolycubeLibrary.defaultLibrary = new PolycubeLibrary(CONFIG.BLOCK_COLORS);
+        }
+        return PolycubeLibrary.defaultLibrary;
+    }
+
+    /**
+     * Add a shape ({ id, name, blocks, color, pivot?, kickClass? }); its blocks
+     * (and pivot) are turned into the canonical rotation
+     */
+    add(shape) {
+        const { blocks, matrix, offset } = PolycubeLibrary.canonicalTransform(shape.blocks);
+        const pivot = shape.pivot
+            ? PolycubeLibrary.rotate(matrix, shape.pivot).map((value, axis) => value - offset[axis])
+            : PolycubeLibrary.centerOf(blocks);
+        const record = {
+            id: shape.id,
+            name: shape.name,
+            size: blocks.length,
+            blocks,
+            pivot,
+            kickClass: shape.kickClass || PolycubeLibrary.kickClassOf(blocks),
+            color: shape.color,
+            flat: blocks.every(([, , z]) => z === 0)
+        };
+
+        this.shapes.set(record.id, record);
+
+        // The first shape of a form keeps it (custom shapes may repeat built-in forms)
+        const key = PolycubeLibrary.keyOf(blocks);
+        if (!this.ids.has(key)) {
+            this.ids.set(key, record.id);
+        }
+        return record;
+    }
+
+    /**
+     * Get a shape by id
+     */
+    get(id) {
+        return this.shapes.get(id) || null;
+    }
+
+    /**
+     * Find the shape with the same form as the given blocks (any rotation)
+     */
+    find(blocks) {
+        const id = this.ids.get(PolycubeLibrary.canonicalKey(blocks));
+        return id ? this.get(id) : null;
+    }
+
+    /**
+     * Get every shape, optionally filtered (e.g. shape => shape.size <= 4)
+     */
+    list(filter = () => true) {
+        return [...this.shapes.values()].filter(filter);
+    }
+
+    /**
+     * All 24 rotation matrices of the cube (signed permutations with determinant 1)
+     */
+    static rotations() {
+        if (PolycubeLibrary.rotationMatrices) return PolycubeLibrary.rotationMatrices;
+
+        const permutations = [[0, 1, 2], [0, 2, 1], [1, 0, 2], [1, 2, 0], [2, 0, 1], [2, 1, 0]];
+        const matrices = [];
+
+        for (const permutation of permutations) {
+            // Odd permutations need an odd number of sign flips to stay a rotation
+            const parity = (permutation[0] > permutation[1]) + (permutation[0] > permutation[2]) + (permutation[1] > permutation[2]);
+
+            for (let signs = 0; signs < 8; signs++) {
+                const flips = (signs & 1) + ((signs >> 1) & 1) + ((signs >> 2) & 1);
+                if ((flips + parity) % 2 !== 0) continue;
+
+                const matrix = new Array(9).fill(0);
+                permutation.forEach((column, row) => {
+                    matrix[row * 3 + column] = (signs >> row) & 1 ? -1 : 1;
+                });
+                matrices.push(matrix);
+            }
+        }
+
+        PolycubeLibrary.rotationMatrices = matrices;
+        return matrices;
+    }
+
+    /**
+     * Apply a rotation matrix to a point
+     */
+    static rotate(matrix, [x, y, z]) {
+        return [
+            matrix[0] * x + matrix[1] * y + matrix[2] * z,
+            matrix[3] * x + matrix[4] * y + matrix[5] * z,
+            matrix[6] * x + matrix[7] * y + matrix[8] * z
+        ];
+    }
+
+    /**
+     * Center of the bounding box of normalized blocks
+     */
+    static centerOf(blocks) {
+        return [0, 1, 2].map(axis => Math.max(...blocks.map(block => block[axis])) / 2);
+    }
+
+    /**
+     * Kick class for shapes without one: long shapes need wider kicks
+     */
+    static kickClassOf(blocks) {
+        const length = Math.max(...blocks.flat()) + 1;
+        return length >= 4 ? 'long' : 'standard';
+    }
+
+    /**
+     * Move blocks so their minimum corner is the origin and sort them
+     */
+    static normalize(blocks) {
+        const min = [0, 1, 2].map(axis => Math.min(...blocks.map(block => block[axis])));
+        return blocks
+            .map(block => block.map((value, axis) => value - min[axis]))
+            .sort((a, b) => a[2] - b[2] || a[1] - b[1] || a[0] - b[0]);
+    }
+
+    /**
+     * String form of normalized blocks
+     */
+    static keyOf(blocks) {
+        return blocks.map(block => block.join(',')).join(';');
+    }
+
+    /**
+     * Pick the canonical rotation of a shape: the flattest one (smallest height,
+     * then depth, so it lies along x), ties broken by the key
+     */
+    static canonicalize(blocks) {
+        return PolycubeLibrary.canonicalTransform(blocks).blocks;
+    }
+
+    /**
+     * Canonical blocks plus how they were reached: rotated by matrix, then
+     * moved back by offset (the minimum corner)
+     */
+    static canonicalTransform(blocks) {
+        let best = null;
+        let bestRank = null;
+
+        for (const matrix of PolycubeLibrary.rotations()) {
+            const turned = blocks.map(block => PolycubeLibrary.rotate(matrix, block));
+            const rotated = PolycubeLibrary.normalize(turned);
+            const rank = [
+                Math.max(...rotated.map(block => block[2])),
+                Math.max(...rotated.map(block => block[1])),
+                PolycubeLibrary.keyOf(rotated)
+            ];
+
+            if (!bestRank || rank[0] < bestRank[0] ||
+                (rank[0] === bestRank[0] && (rank[1] < bestRank[1] ||
+                (rank[1] === bestRank[1] && rank[2] < bestRank[2])))) {
+                const offset = [0, 1, 2].map(axis => Math.min(...turned.map(block => block[axis])));
+                best = { blocks: rotated, matrix, offset };
+                bestRank = rank;
+            }
+        }
+
+        return best;
+    }
+
+    /**
+     * Key of the canonical rotation (equal for shapes that are rotations of each other)
+     */
+    static canonicalKey(blocks) {
+        return PolycubeLibrary.keyOf(PolycubeLibrary.canonicalize(blocks));
+    }
+
+    /**
+     * Grow every free polycube up to maxSize cubes
+     * Returns one list of canonical shapes per size, sorted by key
+     */
+    static enumerate(maxSize) {
+        const neighbors = [[1, 0, 0], [-1, 0, 0], [0, 1, 0], [0, -1, 0], [0, 0, 1], [0, 0, -1]];
+        const sizes = [[[[0, 0, 0]]]];
+
+        for (let size = 2; size <= maxSize; size++) {
+            const found = new Map();
+
+            // Add one face-adjacent cube to every shape of the previous size
+            for (const shape of sizes[size - 2]) {
+                const occupied = new Set(shape.map(block => block.join(',')));
+
+                for (const block of shape) {
+                    for (const offset of neighbors) {
+                        const cell = block.map((value, axis) => value + offset[axis]);
+                        if (occupied.has(cell.join(','))) continue;
+
+                        const grown = PolycubeLibrary.canonicalize([...shape, cell]);
+                        found.set(PolycubeLibrary.keyOf(grown), grown);
+                    }
+                }
+            }
+
+            sizes.push([...found.keys()].sort().map(key => found.get(key)));
+        }
+
+        return sizes.slice(0, maxSize);
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { PolycubeLibrary, POLYCUBE_NAMES, POLYCUBE_EXTRAS };
+}
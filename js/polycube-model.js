@@ -0,0 +1,231 @@
+/**
+ * PolycubeModel - Pure polycube state for Space Cubes (no Three.js)
+ *
+ * Orientation is stored as a 3x3 integer rotation matrix (row-major),
+ * so quarter-turn rotations stay exact and the model runs in Node.
+ * Shapes turn around their pivot, which may sit on a cube center or
+ * between cubes (half-integer); rotated cubes are snapped back onto the
+ * grid, always rounding halves the same way so a shape never drifts.
+ */
+class PolycubeModel {
+    constructor(blocks, color, pivot = PolycubeModel.centerOf(blocks)) {
+        this.blocks = blocks;  // Array of relative positions [x, y, z]
+        this.pivot = pivot;    // Rotation center, relative like the blocks
+        this.kickClass = 'standard'; // Row of CONFIG.ROTATION.KICKS used when rotating
+        this.position = [999, 999, 999];  // Start offscreen until spawned
+        this.orientation = PolycubeModel.IDENTITY.slice();
+        this.color = color;
+        this.powerUp = null; // Id of a CONFIG.POWER_UPS type, null for ordinary blocks
+        this.shape = null;   // Library id of the shape, if it came from the library
+        this.serial = null;  // Number of the piece in the run's sequence
+    }
+
+    /**
+     * Center of the bounding box of some blocks (the default pivot)
+     */
+    static centerOf(blocks) {
+        return [0, 1, 2].map((axis) => {
+            const values = blocks.map(block => block[axis]);
+            return (Math.min(...values) + Math.max(...values)) / 2;
+        });
+    }
+
+    /**
+     * Build the rotation matrix for a quarter-turn rotation around an axis-aligned axis
+     */
+    static axisRotation(axis, angle) {
+        // Snap to whole quarter turns so the matrix stays integral
+        const cos = Math.round(Math.cos(angle));
+        const sin = Math.round(Math.sin(angle));
+        const [x, y, z] = axis;
+        const t = 1 - cos;
+
+        // Rodrigues' rotation formula
+        return [
+            cos + x * x * t,     x * y * t - z * sin, x * z * t + y * sin,
+            y * x * t + z * sin, cos + y * y * t,     y * z * t - x * sin,
+            z * x * t - y * sin, z * y * t + x * sin, cos + z * z * t
+        ];
+    }
+
+    /**
+     * Multiply two 3x3 matrices (a * b)
+     */
+    static multiply(a, b) {
+        const result = new Array(9);
+        for (let row = 0; row < 3; row++) {
+            for (let col = 0; col < 3; col++) {
+                result[row * 3 + col] =
+                    a[row * 3] * b[col] +
+                    a[row * 3 + 1] * b[3 + col] +
+                    a[row * 3 + 2] * b[6 + col];
+            }
+        }
+        return result;
+    }
+
+    /**
+     * Apply a 3x3 matrix to a vector
+     */
+    static transform(m, [x, y, z]) {
+        return [
+            m[0] * x + m[1] * y + m[2] * z,
+            m[3] * x + m[4] * y + m[5] * z,
+            m[6] * x + m[7] * y + m[8] * z
+        ];
+    }
+
+    /**
+     * Position of a block relative to the polycube after turning around the pivot
+     * (exact, so half-integer where the pivot is)
+     */
+    getRotatedBlock(block) {
+        const relative = PolycubeModel.transform(this.orientation, block.map((value, axis) => value - this.pivot[axis]));
+        return relative.map((value, axis) => value + this.pivot[axis]);
+    }
+
+    /**
+     * Get absolute positions of all cubes in the polycube
+     */
+    getWorldPositions() {
+        return this.blocks.map((block) => {
+            const [x, y, z] = this.getRotatedBlock(block);
+            return [
+                Math.round(Math.round(x) + this.position[0]),
+                Math.round(Math.round(y) + this.position[1]),
+                Math.round(Math.round(z) + this.position[2])
+            ];
+        });
+    }
+
+    /**
+     * Where the pivot is drawn relative to position: the pivot itself, plus the
+     * half-cell shift the rotated cubes got when snapped to the grid
+     */
+    getPivotOffset() {
+        const rotated = this.getRotatedBlock(this.blocks[0]);
+        return rotated.map((value, axis) => this.pivot[axis] + Math.round(value) - value);
+    }
+
+    /**
+     * Move the polycube
+     */
+    move(dx, dy, dz) {
+        this.position[0] += dx;
+        this.position[1] += dy;
+        this.position[2] += dz;
+    }
+
+    /**
+     * Rotate the polycube around an axis in its local frame
+     */
+    rotate(axis, angle) {
+        this.orientation = PolycubeModel.multiply(
+            this.orientation,
+            PolycubeModel.axisRotation(axis, angle)
+        );
+    }
+
+    /**
+     * Turn back to the spawn orientation (or to the given one)
+     */
+    resetOrientation(orientation = PolycubeModel.IDENTITY) {
+        this.orientation = orientation.slice();
+    }
+
+    /**
+     * Size of the block along x, y and z in an orientation
+     */
+    getExtents(orientation = this.orientation) {
+        const cells = this.blocks.map(block => PolycubeModel.transform(orientation, block));
+        return [0, 1, 2].map((axis) => {
+            const values = cells.map(cell => cell[axis]);
+            return Math.max(...values) - Math.min(...values) + 1;
+        });
+    }
+
+    /**
+     * Orientation a block spawns in: as generated (the library's flat form) if
+     * it fits a pit of the given size, else the first of SPAWN_ORIENTATIONS that does
+     */
+    getSpawnOrientation(pit) {
+        return PolycubeModel.SPAWN_ORIENTATIONS.find(orientation => this.fitsIn(pit, orientation)) ||
+            PolycubeModel.IDENTITY;
+    }
+
+    /**
+     * Check whether the block can spawn in a pit of the given size at all
+     */
+    canSpawnIn(pit) {
+        return PolycubeModel.SPAWN_ORIENTATIONS.some(orientation => this.fitsIn(pit, orientation));
+    }
+
+    /**
+     * Check whether the block fits a pit of the given size in an orientation
+     */
+    fitsIn({ width, depth, height }, orientation) {
+        const [x, y, z] = this.getExtents(orientation);
+        return x <= width && y <= depth && z <= height;
+    }
+
+    /**
+     * Plain data for saving or sending over the network
+     */
+    toJSON() {
+        return {
+            blocks: this.blocks,
+            pivot: this.pivot,
+            kickClass: this.kickClass,
+            color: this.color,
+            position: this.position,
+            orientation: this.orientation,
+            powerUp: this.powerUp,
+            shape: this.shape,
+            serial: this.serial
+        };
+    }
+
+    /**
+     * Recreate a polycube from toJSON() data (works for subclasses too)
+     */
+    static fromJSON(data) {
+        const polycube = new this(data.blocks, data.color, data.pivot);
+        polycube.kickClass = data.kickClass;
+        polycube.position = [...data.position];
+        polycube.orientation = data.orientation.slice();
+        polycube.powerUp = data.powerUp || null;
+        polycube.shape = data.shape || null;
+        polycube.serial = data.serial !== undefined ? data.serial : null;
+        return polycube;
+    }
+
+    /**
+     * Clone this polycube
+     */
+    clone() {
+        const newPolycube = new PolycubeModel([...this.blocks], this.color, [...this.pivot]);
+        newPolycube.kickClass = this.kickClass;
+        newPolycube.position = [...this.position];
+        newPolycube.orientation = this.orientation.slice();
+        newPolycube.powerUp = this.powerUp;
+        newPolycube.shape = this.shape;
+        newPolycube.serial = this.serial;
+        return newPolycube;
+    }
+}
+
+PolycubeModel.IDENTITY = Object.freeze([1, 0, 0, 0, 1, 0, 0, 0, 1]);
+
+// Spawn orientations to try, flattest first: as generated, turned flat in
+// the other direction, then stood up (for pits narrower than the block)
+PolycubeModel.SPAWN_ORIENTATIONS = [
+    PolycubeModel.IDENTITY,
+    PolycubeModel.axisRotation([0, 0, 1], Math.PI / 2),
+    PolycubeModel.axisRotation([0, 1, 0], Math.PI / 2),
+    PolycubeModel.axisRotation([1, 0, 0], Math.PI / 2),
+    PolycubeModel.multiply(PolycubeModel.axisRotation([0, 0, 1], Math.PI / 2), PolycubeModel.axisRotation([0, 1, 0], Math.PI / 2))
+].map(Object.freeze);
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { PolycubeModel };
+}
@@ -1,26 +1,27 @@
 /**
  * Polycubes - 3D block shapes for Space Cubes
  */
-class Polycube {
-    constructor(blocks, color) {
-        this.blocks = blocks;  // Array of relative positions [x, y, z]
-        this.position = [999, 999, 999];  // Start offscreen to avoid flashing at wrong position
-        this.rotation = new THREE.Quaternion(); // Current rotation
+class Polycube extends PolycubeModel {
+    constructor(blocks, color, pivot) {
+        super(blocks, color, pivot);
+        this.rotation = new THREE.Quaternion(); // Displayed rotation, synced from the model orientation
         this.mesh = null;  // THREE.js Group containing the block meshes
-        this.color = color;
-        this.isSpecial = false; // Default to not special
     }
     
     /**
      * Create THREE.js mesh for the polycube
      */
     createMesh() {
+        // Power-ups bring their own edge color and glow
+        const powerUp = this.powerUp ? PowerUps.get(this.powerUp) : null;
+        
         const geometry = new THREE.BoxGeometry(0.95, 0.95, 0.95);
         const edgeGeometry = new THREE.BoxGeometry(1.0, 1.0, 1.0); // Slightly larger for edges
         
         // Create main material for the cube faces
         const material = new THREE.MeshLambertMaterial({ 
             color: this.color,
+            emissive: powerUp ? powerUp.emissive : 0x000000,
             transparent: true,
             opacity: CONFIG.BLOCK_OPACITY,
             side: THREE.DoubleSide
@@ -28,7 +29,7 @@ class Polycube {
         
         // Create white edge material
         const edgeMaterial = new THREE.MeshBasicMaterial({ 
-            color: 0xffffff,
+            color: powerUp ? powerUp.edgeColor : 0xffffff,
             transparent: true,
             opacity: CONFIG.BLOCK_OPACITY + 0.1, // Slightly more opaque than the main material
             side: THREE.BackSide // Only render the back faces for edge effect
@@ -39,7 +40,10 @@ class Polycube {
         // Make the mesh initially invisible
         this.mesh.visible = false;
         
-        for (const [x, y, z] of this.blocks) {
+        // Cubes are placed around the pivot so the mesh turns around it
+        for (const block of this.blocks) {
+            const [x, y, z] = block.map((value, axis) => value - this.pivot[axis]);
+            
             // Create the main cube
             const cube = new THREE.Mesh(geometry, material);
             cube.position.set(x, y, z);
@@ -66,38 +70,65 @@ class Polycube {
     updateMesh() {
         if (!this.mesh) return;
         
-        this.mesh.position.set(...this.position);
+        const offset = this.getPivotOffset();
+        this.mesh.position.set(
+            this.position[0] + offset[0],
+            this.position[1] + offset[1],
+            this.position[2] + offset[2]
+        );
         this.mesh.quaternion.copy(this.rotation);
     }
     
     /**
-     * Get absolute positions of all cubes in the polycube
+     * Remember the current position as the start of the next interpolation
      */
-    getWorldPositions() {
-        const worldPositions = [];
-        const tempVector = new THREE.Vector3();
-        
-        for (const [x, y, z] of this.blocks) {
-            tempVector.set(x, y, z);
-            tempVector.applyQuaternion(this.rotation);
-            
-            worldPositions.push([
-                Math.round(tempVector.x + this.position[0]),
-                Math.round(tempVector.y + this.position[1]),
-                Math.round(tempVector.z + this.position[2])
-            ]);
-        }
+    storePreviousPosition() {
+        this.previousPosition = [...this.position];
+    }
+    
+    /**
+     * Place the mesh between the previous and current position (alpha 0..1)
+     */
+    updateMeshInterpolated(alpha) {
+        if (!this.mesh) return;
         
-        return worldPositions;
+        const from = this.previousPosition || this.position;
+        const offset = this.getPivotOffset();
+        this.mesh.position.set(
+            from[0] + (this.position[0] - from[0]) * alpha + offset[0],
+            from[1] + (this.position[1] - from[1]) * alpha + offset[1],
+            from[2] + (this.position[2] - from[2]) * alpha + offset[2]
+        );
+    }
+    
+    /**
+     * Recreate a polycube from saved data, with its displayed rotation in sync
+     */
+    static fromJSON(data) {
+        const polycube = super.fromJSON(data);
+        polycube.syncRotation();
+        return polycube;
+    }
+    
+    /**
+     * Set the displayed rotation from the model orientation
+     */
+    syncRotation() {
+        const m = this.orientation;
+        const matrix = new THREE.Matrix4().set(
+            m[0], m[1], m[2], 0,
+            m[3], m[4], m[5], 0,
+            m[6], m[7], m[8], 0,
+            0, 0, 0, 1
+        );
+        this.rotation.setFromRotationMatrix(matrix);
     }
     
     /**
      * Move the polycube
      */
     move(dx, dy, dz) {
-        this.position[0] += dx;
-        this.position[1] += dy;
-        this.position[2] += dz;
+        super.move(dx, dy, dz);
         this.updateMesh();
     }
     
@@ -105,9 +136,17 @@ class Polycube {
      * Rotate the polycube around an axis (immediate rotation, not animated)
      */
     rotate(axis, angle) {
-        const q = new THREE.Quaternion();
-        q.setFromAxisAngle(new THREE.Vector3(...axis), angle);
-        this.rotation.multiply(q);
+        super.rotate(axis, angle);
+        this.syncRotation();
+        this.updateMesh();
+    }
+    
+    /**
+     * Turn back to the spawn orientation or the given one (immediately, not animated)
+     */
+    resetOrientation(orientation) {
+        super.resetOrientation(orientation);
+        this.syncRotation();
         this.updateMesh();
     }
     
@@ -115,10 +154,14 @@ class Polycube {
      * Clone this polycube
      */
     clone() {
-        const newPolycube = new Polycube([...this.blocks], this.color);
+        const newPolycube = new Polycube([...this.blocks], this.color, [...this.pivot]);
+        newPolycube.kickClass = this.kickClass;
         newPolycube.position = [...this.position];
+        newPolycube.orientation = this.orientation.slice();
         newPolycube.rotation = this.rotation.clone();
-        newPolycube.isSpecial = this.isSpecial;
+        newPolycube.powerUp = this.powerUp;
+        newPolycube.shape = this.shape;
+        newPolycube.serial = this.serial;
         return newPolycube;
     }
 }
@@ -127,64 +170,102 @@ class Polycube {
  * PolycubeGenerator - Generate random polycubes
  */
 class PolycubeGenerator {
-    constructor() {
-        // Define all possible shapes with their specific colors
-        this.shapes = {
-            I3: { 
-                blocks: [[0, 0, 0], [1, 0, 0], [2, 0, 0]],  // I-shape (3 blocks)
-                color: CONFIG.BLOCK_COLORS[0]  // Charizard Red
-            },
-            I4: { 
-                blocks: [[0, 0, 0], [1, 0, 0], [2, 0, 0], [3, 0, 0]],  // I-shape (4 blocks)
-                color: CONFIG.BLOCK_COLORS[1]  // Bulbasaur Green
-            },
-            L3: { 
-                blocks: [[0, 0, 0], [1, 0, 0], [1, 1, 0]],  // L-shape (3 blocks)
-                color: CONFIG.BLOCK_COLORS[2]  // Squirtle Blue
-            },
-            T3: { 
-                blocks: [[0, 0, 0], [1, 0, 0], [2, 0, 0], [1, 1, 0]],  // T-shape
-                color: CONFIG.BLOCK_COLORS[3]  // Pikachu Yellow
-            },
-            Cube2: { 
-                blocks: [[0, 0, 0], [1, 0, 0], [0, 1, 0], [1, 1, 0]],  // 2x2 square
-                color: CONFIG.BLOCK_COLORS[4]  // Mewtwo Purple
-            },
-            Cube8: {  // 2x2x2 cube
-                blocks: [
-                    [0, 0, 0], [1, 0, 0], [0, 1, 0], [1, 1, 0],
-                    [0, 0, 1], [1, 0, 1], [0, 1, 1], [1, 1, 1]
-                ],
-                color: CONFIG.BLOCK_COLORS[5]  // Lapras Cyan
-            },
-            Z3: { 
-                blocks: [[0, 0, 0], [1, 0, 0], [1, 0, 1], [2, 0, 1]],  // Z-shape in 3D
-                color: CONFIG.BLOCK_COLORS[6]  // Charmander Orange
-            },
-            Corner3: { 
-                blocks: [[0, 0, 0], [1, 0, 0], [0, 1, 0], [0, 0, 1]],  // 3D corner
-                color: CONFIG.BLOCK_COLORS[7]  // Gengar Purple
-            }
-        };
+    constructor(random, shapeSet) {
+        // Seeded random source shared with the rest of the run
+        this.random = random;
+        
+        // Every polycube up to pentacubes (plus extras), by id
+        this.library = PolycubeLibrary.getDefault();
+        
+        // The shape set decides which shapes unlock at which level
+        this.shapeSet = shapeSet;
+        
+        // Strategy that deals the shapes (bag, history, ...)
+        this.randomizer = Randomizer.create(random, PolycubeGenerator.getRandomizerOptions(shapeSet));
         
         // Initially available shapes (simpler ones for early game)
-        this.availableShapes = ['I3', 'L3', 'T3', 'Cube2'];
+        this.level = 1;
+        this.availableShapes = this.getUnlockedShapes(1);
+        this.randomizer.setShapes(this.availableShapes);
         
-        // Bag for shape selection (to avoid repetition)
-        this.bag = [...this.availableShapes];
+        // Pieces generated so far (each piece gets the next serial number)
+        this.serial = 0;
         
         // Special block tracking
         this.blocksSinceLastSpecial = 0;
         this.nextSpecialBlockInterval = this.getRandomSpecialInterval();
     }
     
+    /**
+     * Get the CONFIG.RANDOMIZERS entry a shape set uses
+     */
+    static getRandomizerOptions(shapeSet) {
+        const id = shapeSet.randomizer || CONFIG.DEFAULT_RANDOMIZER;
+        return CONFIG.RANDOMIZERS.find(randomizer => randomizer.id === id) ||
+            CONFIG.RANDOMIZERS.find(randomizer => randomizer.id === CONFIG.DEFAULT_RANDOMIZER);
+    }
+    
+    /**
+     * Get the generator state (randomizer, unlocked shapes, special block counters, random state)
+     */
+    getState() {
+        return {
+            level: this.level,
+            availableShapes: [...this.availableShapes],
+            randomizer: this.randomizer.getState(),
+            serial: this.serial,
+            blocksSinceLastSpecial: this.blocksSinceLastSpecial,
+            nextSpecialBlockInterval: this.nextSpecialBlockInterval,
+            randomState: this.random.state
+        };
+    }
+    
+    /**
+     * Restore a state returned by getState()
+     */
+    setState(state) {
+        this.level = state.level;
+        this.availableShapes = [...state.availableShapes];
+        this.randomizer.setShapes(this.availableShapes);
+        this.randomizer.setState(state.randomizer);
+        this.serial = state.serial;
+        this.blocksSinceLastSpecial = state.blocksSinceLastSpecial;
+        this.nextSpecialBlockInterval = state.nextSpecialBlockInterval;
+        this.random.state = state.randomState;
+    }
+    
     /**
      * Get a random interval for the next special block
      */
     getRandomSpecialInterval() {
-        return Math.floor(Math.random() * 
-            (CONFIG.SPECIAL_BLOCK.MAX_INTERVAL - CONFIG.SPECIAL_BLOCK.MIN_INTERVAL + 1)) + 
-            CONFIG.SPECIAL_BLOCK.MIN_INTERVAL;
+        return this.random.nextRange(
+            CONFIG.POWER_UPS.MIN_INTERVAL,
+            CONFIG.POWER_UPS.MAX_INTERVAL
+        );
+    }
+    
+    /**
+     * Get the ids of every shape the set has unlocked at a level, in unlock order
+     */
+    getUnlockedShapes(level) {
+        const ids = [];
+        
+        for (const unlock of this.shapeSet.unlocks) {
+            if (unlock.level > level) continue;
+            
+            for (const pattern of unlock.shapes) {
+                // 'D5-*' stands for every library id starting with 'D5-'
+                const matches = pattern.endsWith('*')
+                    ? this.library.list(shape => shape.id.startsWith(pattern.slice(0, -1))).map(shape => shape.id)
+                    : [pattern];
+                
+                matches.forEach(id => {
+                    if (!ids.includes(id)) ids.push(id);
+                });
+            }
+        }
+        
+        return ids;
     }
     
     /**
@@ -193,54 +274,57 @@ class PolycubeGenerator {
     updateLevel(level) {
         this.level = level;
         
-        // Add more complex shapes as level increases
-        if (level >= 2 && !this.availableShapes.includes('I4')) {
-            this.availableShapes.push('I4');
-        }
-        if (level >= 4 && !this.availableShapes.includes('Z3')) {
-            this.availableShapes.push('Z3');
-        }
-        if (level >= 5 && !this.availableShapes.includes('Corner3')) {
-            this.availableShapes.push('Corner3');
-        }
-        if (level >= 7 && !this.availableShapes.includes('Cube8')) {
-            this.availableShapes.push('Cube8');
-        }
+        // Add the shapes unlocked up to this level, keeping the existing order
+        this.getUnlockedShapes(level).forEach(id => {
+            if (!this.availableShapes.includes(id)) {
+                this.availableShapes.push(id);
+            }
+        });
         
-        // Refill bag if needed
-        if (this.bag.length === 0) {
-            this.bag = [...this.availableShapes];
-        }
+        // New shapes can be dealt right away (a bag takes them into the current fill)
+        this.randomizer.setShapes(this.availableShapes);
     }
     
     /**
      * Generate a new random polycube
      */
     generate() {
-        // If bag is empty, refill it
-        if (this.bag.length === 0) {
-            this.bag = [...this.availableShapes];
-        }
-        
-        // Check if we should generate a special block
+        const polycube = this.generateShape();
+        polycube.serial = this.serial++;
+        return polycube;
+    }
+    
+    /**
+     * Pick the next piece: a power-up when one is due, otherwise the randomizer's shape
+     */
+    generateShape() {
+        // Check if we should generate a power-up block
         if (this.blocksSinceLastSpecial >= this.nextSpecialBlockInterval) {
             // Reset special block tracking
             this.blocksSinceLastSpecial = 0;
             this.nextSpecialBlockInterval = this.getRandomSpecialInterval();
             
-            // Generate a special block (using I3 shape for simplicity)
-            const specialBlock = new Polycube(this.shapes.I3.blocks, CONFIG.SPECIAL_BLOCK.COLOR);
-            specialBlock.isSpecial = true; // Mark as special block
-            console.log('Generated special block! Next special in:', this.nextSpecialBlockInterval, 'blocks');
+            // The power-up type decides the shape and color
+            const type = PowerUps.pick(this.random);
+            const specialBlock = this.createPolycube(this.library.get(type.shape), type.color);
+            specialBlock.powerUp = type.id;
             return specialBlock;
         }
         
-        // Pick a random shape from the bag
-        const index = Math.floor(Math.random() * this.bag.length);
-        const shapeKey = this.bag.splice(index, 1)[0];
-        const shape = this.shapes[shapeKey];
+        // Let the randomizer pick the shape
+        const shape = this.library.get(this.randomizer.next());
         
         // Create new polycube with the shape's specific color
-        return new Polycube(shape.blocks, shape.color);
+        return this.createPolycube(shape);
+    }
+    
+    /**
+     * Create a polycube of a library shape, turning around the shape's pivot
+     */
+    createPolycube(shape, color = shape.color) {
+        const polycube = new Polycube(shape.blocks, color, shape.pivot);
+        polycube.kickClass = shape.kickClass;
+        polycube.shape = shape.id;
+        return polycube;
     }
 } 
\ No newline at end of file
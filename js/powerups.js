@@ -0,0 +1,206 @@
+/**
+ * Power-ups - Special blocks with data-driven effects
+ *
+ * Every power-up type is a CONFIG.POWER_UPS.TYPES entry: the shape it comes
+ * in, its look, sound and scoring, and the name of its effect. Effects are
+ * classes keyed by that name in POWER_UP_EFFECTS. apply() changes the pit
+ * model around the cells where the block landed and reports what it did,
+ * so the same rules run headless in Node; Game adds the score, sound and
+ * flash from the type's data.
+ */
+class PowerUps {
+    /**
+     * Get a power-up type by id, or null
+     */
+    static get(id) {
+        return CONFIG.POWER_UPS.TYPES.find(type => type.id === id) || null;
+    }
+
+    /**
+     * Draw a power-up type by weight
+     */
+    static pick(random) {
+        const types = CONFIG.POWER_UPS.TYPES;
+        let roll = random.next() * types.reduce((sum, type) => sum + type.weight, 0);
+
+        for (const type of types) {
+            roll -= type.weight;
+            if (roll < 0) return type;
+        }
+        return types[types.length - 1];
+    }
+
+    /**
+     * Apply the effect of a power-up that landed on the given cells
+     * Returns { cells, slowDown } (cells affected; slowDown: { pieces, factor } or null)
+     */
+    static trigger(model, type, positions) {
+        const Effect = POWER_UP_EFFECTS[type.effect];
+        if (!Effect) {
+            throw new Error(`Unknown power-up effect: ${type.effect}`);
+        }
+        return { cells: 0, slowDown: null, ...new Effect(type).apply(model, positions) };
+    }
+}
+
+/**
+ * PowerUpEffect - Base class of the effects
+ */
+class PowerUpEffect {
+    constructor(options = {}) {
+        this.options = options; // The power-up type (effect parameters included)
+    }
+
+    /**
+     * Change the pit around the landed cells and return { cells, slowDown }
+     */
+    apply(model, positions) {
+        throw new Error(`${this.constructor.name} does not implement apply()`);
+    }
+}
+
+/**
+ * BombEffect - Clear every cell within `radius` of the block, the block included;
+ * the cubes above fall into the crater
+ */
+class BombEffect extends PowerUpEffect {
+    apply(model, positions) {
+        const radius = this.options.radius || 1;
+        const cells = new Map();
+
+        for (const [bx, by, bz] of positions) {
+            for (let x = bx - radius; x <= bx + radius; x++) {
+                for (let y = by - radius; y <= by + radius; y++) {
+                    for (let z = bz - radius; z <= bz + radius; z++) {
+                        if (model.isInside(x, y, z) && model.grid[x][y][z] !== null) {
+                            cells.set(`${x},${y},${z}`, [x, y, z]);
+                        }
+                    }
+                }
+            }
+        }
+
+        model.collapseCells([...cells.values()]);
+        return { cells: cells.size };
+    }
+}
+
+/**
+ * DrillEffect - Bore out the columns under the block, the block included
+ */
+class DrillEffect extends PowerUpEffect {
+    apply(model, positions) {
+        const cells = new Map();
+
+        for (const [x, y, top] of positions) {
+            for (let z = 0; z <= top; z++) {
+                if (model.grid[x][y][z] !== null) {
+                    cells.set(`${x},${y},${z}`, [x, y, z]);
+                }
+            }
+        }
+
+        model.collapseCells([...cells.values()]);
+        return { cells: cells.size };
+    }
+}
+
+/**
+ * FreezeEffect - Slow gravity down for the next `pieces` blocks; the block stays
+ */
+class FreezeEffect extends PowerUpEffect {
+    apply(model, positions) {
+        return { slowDown: { pieces: this.options.pieces, factor: this.options.factor } };
+    }
+}
+
+/**
+ * PainterEffect - Paint the block and the cubes touching it in the most common
+ * color among those cubes, so they can complete same-color lines
+ * Garbage is painted too, but never chosen as the color
+ */
+class PainterEffect extends PowerUpEffect {
+    apply(model, positions) {
+        const own = new Set(positions.map(position => position.join(',')));
+        const neighbors = new Map();
+        const counts = new Map();
+
+        for (const [x, y, z] of positions) {
+            for (const [dx, dy, dz] of [[1, 0, 0], [-1, 0, 0], [0, 1, 0], [0, -1, 0], [0, 0, 1], [0, 0, -1]]) {
+                const neighbor = [x + dx, y + dy, z + dz];
+                const key = neighbor.join(',');
+                if (own.has(key) || neighbors.has(key) || !model.isInside(...neighbor)) continue;
+
+                const cell = model.grid[neighbor[0]][neighbor[1]][neighbor[2]];
+                if (cell === null) continue;
+
+                neighbors.set(key, neighbor);
+                if (model.isColorCell(cell)) {
+                    counts.set(cell.color, (counts.get(cell.color) || 0) + 1);
+                }
+            }
+        }
+
+        // Most common color index, the first one found on a tie
+        let paint = null;
+        counts.forEach((count, color) => {
+            if (paint === null || count > counts.get(paint)) paint = color;
+        });
+        if (paint === null) return { cells: 0 };
+
+        // Painted garbage becomes an ordinary cube of that color
+        const { GARBAGE, PAINTED } = PitModel.CELL_FLAGS;
+        model.setCells([...positions, ...neighbors.values()].map(([x, y, z]) => {
+            const cell = model.grid[x][y][z];
+            return [x, y, z, { ...cell, color: paint, flags: (cell.flags & ~GARBAGE) | PAINTED }];
+        }));
+        return { cells: neighbors.size };
+    }
+}
+
+/**
+ * FillerEffect - Move the block into the deepest hole (an empty cell with
+ * something above it), lowest layer first; with no hole it stays where it landed
+ */
+class FillerEffect extends PowerUpEffect {
+    apply(model, positions) {
+        const own = new Set(positions.map(position => position.join(',')));
+        const isCovered = (x, y, z) => {
+            for (let k = z + 1; k < model.height; k++) {
+                if (model.grid[x][y][k] !== null && !own.has(`${x},${y},${k}`)) return true;
+            }
+            return false;
+        };
+
+        for (let z = 0; z < model.height; z++) {
+            for (let x = 0; x < model.width; x++) {
+                for (let y = 0; y < model.depth; y++) {
+                    if (model.grid[x][y][z] === null && isCovered(x, y, z)) {
+                        const [px, py, pz] = positions[0];
+                        const cell = model.grid[px][py][pz];
+                        model.removeCells(positions);
+                        model.setCells([[x, y, z, cell]]);
+                        return { cells: 1 };
+                    }
+                }
+            }
+        }
+
+        return { cells: 0 };
+    }
+}
+
+// Effect classes by CONFIG.POWER_UPS.TYPES effect
+const POWER_UP_EFFECTS = {
+    bomb: BombEffect,
+    drill: DrillEffect,
+    freeze: FreezeEffect,
+    painter: PainterEffect,
+    filler: FillerEffect
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        PowerUps, PowerUpEffect, BombEffect, DrillEffect, FreezeEffect, PainterEffect, FillerEffect, POWER_UP_EFFECTS
+    };
+}
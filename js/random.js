@@ -0,0 +1,60 @@
+/**
+ * SeededRandom - Deterministic pseudo-random numbers for Space Cubes
+ *
+ * All gameplay randomness goes through an instance of this class so a run
+ * can be reproduced from its seed. Uses the mulberry32 generator.
+ */
+class SeededRandom {
+    constructor(seed) {
+        this.seed = seed >>> 0;
+        this.state = this.seed;
+    }
+
+    /**
+     * Create a fresh seed for a new run
+     */
+    static createSeed() {
+        return Math.floor(Math.random() * 0x100000000) >>> 0;
+    }
+
+    /**
+     * Read a seed from the page URL (?seed=1234), or null if none is given
+     */
+    static seedFromUrl() {
+        if (typeof window === 'undefined') return null;
+
+        const value = new URLSearchParams(window.location.search).get('seed');
+        if (value === null || !/^\d+$/.test(value)) return null;
+
+        return Number(value) >>> 0;
+    }
+
+    /**
+     * Next float in [0, 1)
+     */
+    next() {
+        this.state = (this.state + 0x6D2B79F5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    /**
+     * Next integer in [0, max)
+     */
+    nextInt(max) {
+        return Math.floor(this.next() * max);
+    }
+
+    /**
+     * Next integer in [min, max] (inclusive)
+     */
+    nextRange(min, max) {
+        return min + this.nextInt(max - min + 1);
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { SeededRandom };
+}
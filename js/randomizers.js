@@ -0,0 +1,192 @@
+/**
+ * Randomizers - Strategies that pick the next shape for the piece queue
+ *
+ * A randomizer draws shape ids from the shapes unlocked so far, using the
+ * run's seeded random source. PolycubeGenerator hands it every newly
+ * unlocked shape through setShapes(); getState()/setState() carry whatever
+ * it remembers between draws (bag contents, history) for saved games.
+ * Shape sets pick a strategy with a CONFIG.RANDOMIZERS entry, e.g.
+ * { type: 'history', historySize: 4, rerolls: 4 }.
+ */
+class Randomizer {
+    constructor(random, options = {}) {
+        this.random = random;
+        this.options = options;
+        this.shapes = []; // Ids that can be drawn
+    }
+
+    /**
+     * Create the randomizer described by options.type
+     */
+    static create(random, options) {
+        const Type = RANDOMIZER_TYPES[options.type];
+        if (!Type) {
+            throw new Error(`Unknown randomizer: ${options.type}`);
+        }
+        return new Type(random, options);
+    }
+
+    /**
+     * Set the drawable shapes (the unlocked ones, in unlock order)
+     */
+    setShapes(ids) {
+        this.shapes = [...ids];
+    }
+
+    /**
+     * Draw the next shape id
+     */
+    next() {
+        throw new Error(`${this.constructor.name} does not implement next()`);
+    }
+
+    /**
+     * Get what the randomizer remembers between draws
+     */
+    getState() {
+        return {};
+    }
+
+    /**
+     * Restore a state returned by getState()
+     */
+    setState(state) {}
+}
+
+/**
+ * PureRandomizer - Every draw is independent and uniform
+ */
+class PureRandomizer extends Randomizer {
+    next() {
+        return this.shapes[this.random.nextInt(this.shapes.length)];
+    }
+}
+
+/**
+ * BagRandomizer - Deal from a shuffled bag holding `copies` of every shape
+ */
+class BagRandomizer extends Randomizer {
+    constructor(random, options = {}) {
+        super(random, options);
+        this.copies = options.copies || 1;
+        this.bag = [];
+    }
+
+    /**
+     * Newly unlocked shapes go straight into the current bag
+     */
+    setShapes(ids) {
+        ids.filter(id => !this.shapes.includes(id)).forEach(id => {
+            for (let i = 0; i < this.copies; i++) {
+                this.bag.push(id);
+            }
+        });
+        super.setShapes(ids);
+    }
+
+    next() {
+        if (this.bag.length === 0) {
+            this.fill();
+        }
+        return this.bag.splice(this.random.nextInt(this.bag.length), 1)[0];
+    }
+
+    /**
+     * Put `copies` of every shape in the bag
+     */
+    fill() {
+        this.bag = [];
+        for (let i = 0; i < this.copies; i++) {
+            this.bag.push(...this.shapes);
+        }
+    }
+
+    getState() {
+        return { bag: [...this.bag] };
+    }
+
+    setState(state) {
+        this.bag = [...state.bag];
+    }
+}
+
+/**
+ * HistoryRandomizer - TGM style: reroll a shape that was dealt recently,
+ * up to `rerolls` times, so repeats are rare but still possible
+ */
+class HistoryRandomizer extends Randomizer {
+    constructor(random, options = {}) {
+        super(random, options);
+        this.historySize = options.historySize || 4;
+        this.rerolls = options.rerolls || 4;
+        this.history = []; // Last dealt ids, oldest first
+    }
+
+    next() {
+        let id = this.shapes[this.random.nextInt(this.shapes.length)];
+        for (let i = 0; i < this.rerolls && this.history.includes(id); i++) {
+            id = this.shapes[this.random.nextInt(this.shapes.length)];
+        }
+
+        this.history.push(id);
+        if (this.history.length > this.historySize) {
+            this.history.shift();
+        }
+        return id;
+    }
+
+    getState() {
+        return { history: [...this.history] };
+    }
+
+    setState(state) {
+        this.history = [...state.history];
+    }
+}
+
+/**
+ * WeightedRandomizer - Independent draws with a weight per shape
+ * options.weights maps ids (or 'D5-*' style prefixes) to weights; others get defaultWeight
+ */
+class WeightedRandomizer extends Randomizer {
+    constructor(random, options = {}) {
+        super(random, options);
+        this.weights = options.weights || {};
+        this.defaultWeight = options.defaultWeight !== undefined ? options.defaultWeight : 1;
+    }
+
+    /**
+     * Weight of a shape id
+     */
+    getWeight(id) {
+        if (this.weights[id] !== undefined) return this.weights[id];
+
+        const pattern = Object.keys(this.weights).find(key => key.endsWith('*') && id.startsWith(key.slice(0, -1)));
+        return pattern ? this.weights[pattern] : this.defaultWeight;
+    }
+
+    next() {
+        const weights = this.shapes.map(id => this.getWeight(id));
+        let roll = this.random.next() * weights.reduce((sum, weight) => sum + weight, 0);
+
+        for (let i = 0; i < this.shapes.length; i++) {
+            roll -= weights[i];
+            if (roll < 0) return this.shapes[i];
+        }
+        return this.shapes[this.shapes.length - 1];
+    }
+}
+
+// Randomizer classes by CONFIG.RANDOMIZERS type
+const RANDOMIZER_TYPES = {
+    pure: PureRandomizer,
+    bag: BagRandomizer,
+    history: HistoryRandomizer,
+    weighted: WeightedRandomizer
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        Randomizer, PureRandomizer, BagRandomizer, HistoryRandomizer, WeightedRandomizer, RANDOMIZER_TYPES
+    };
+}
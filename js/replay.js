@@ -0,0 +1,136 @@
+/**
+ * Replay - Record gameplay actions and play them back through Game
+ *
+ * A replay is compact JSON: the run seed, the pit size, the shape set id
+ * (plus the shapes themselves for the player's custom set), the queue length,
+ * the gravity mode and a list of events, each [tick, action, ...args]. Actions:
+ *   'm' move (dx, dy, dz)      'r' rotate (axis index, direction)
+ *   'd' drop                   'g' gravity step
+ *   'p' pause                  'u' resume
+ *   'x' garbage (layers: hole lists [[x, y], ...] per layer)
+ *   'h' hold
+ */
+const REPLAY_VERSION = 7; // Bumped whenever old replays would no longer play back the same
+const REPLAY_AXES = [[1, 0, 0], [0, 1, 0], [0, 0, 1]];
+
+/**
+ * ReplayRecorder - Collect the actions of a live run
+ */
+class ReplayRecorder {
+    constructor(seed, pit, shapeSet, shapes = null, queue = 3, gravity = 'classic') {
+        this.seed = seed;
+        this.pit = pit;           // { width, depth, height }
+        this.shapeSet = shapeSet; // Id of one of CONFIG.SHAPE_SETS or 'custom'
+        this.shapes = shapes;     // Custom shape definitions, they may be edited after the run
+        this.queue = queue;       // Number of upcoming blocks
+        this.gravity = gravity;   // Id of one of CONFIG.GRAVITY_MODES
+        this.events = [];
+    }
+
+    /**
+     * Record an action at the given simulation tick
+     */
+    record(tick, action, ...args) {
+        this.events.push([tick, action, ...args]);
+    }
+
+    /**
+     * Continue recording a replay returned by toJSON()
+     */
+    static fromJSON(replay) {
+        const recorder = new ReplayRecorder(replay.seed, replay.pit, replay.shapeSet, replay.shapes, replay.queue,
+            replay.gravity);
+        recorder.events = replay.events.map(event => [...event]);
+        return recorder;
+    }
+
+    /**
+     * Serializable replay
+     */
+    toJSON() {
+        const replay = {
+            v: REPLAY_VERSION,
+            seed: this.seed,
+            pit: this.pit,
+            shapeSet: this.shapeSet,
+            queue: this.queue,
+            gravity: this.gravity,
+            events: this.events
+        };
+        if (this.shapes) {
+            replay.shapes = this.shapes;
+        }
+        return replay;
+    }
+}
+
+/**
+ * ReplayPlayer - Feed a recorded replay back into a Game
+ */
+class ReplayPlayer {
+    constructor(replay) {
+        this.replay = replay;
+        this.index = 0;
+        this.isDispatching = false; // Lets Game accept actions coming from the replay
+    }
+
+    /**
+     * Play every event recorded up to the given tick
+     * Returns false when an event left the block's falling state (a rotation
+     * or drop animation, or clears): the game must wait for it to fall again
+     * before the tick can continue
+     */
+    dispatch(game, tick) {
+        const events = this.replay.events;
+        this.isDispatching = true;
+
+        try {
+            while (this.index < events.length && events[this.index][0] <= tick) {
+                const [, action, ...args] = events[this.index++];
+                this.apply(game, action, args);
+
+                // (a pause holds the falling state, so the matching resume still plays)
+                if (game.states.getPlayState() !== GAME_STATES.FALLING) {
+                    return false;
+                }
+            }
+            return true;
+        } finally {
+            this.isDispatching = false;
+        }
+    }
+
+    /**
+     * Apply a single recorded action through the regular Game methods
+     */
+    apply(game, action, args) {
+        switch (action) {
+            case 'm':
+                game.moveBlock(args[0], args[1], args[2]);
+                break;
+            case 'r':
+                game.rotateBlock(REPLAY_AXES[args[0]], args[1] * CONFIG.ROTATION_SPEED);
+                break;
+            case 'd':
+                game.dropBlock();
+                break;
+            case 'g':
+                game.applyGravity();
+                break;
+            case 'p':
+                game.pause();
+                break;
+            case 'u':
+                game.resume();
+                break;
+            case 'x':
+                game.addGarbage(args[0]);
+                break;
+            case 'h':
+                game.holdBlock();
+                break;
+            default:
+                console.warn('Unknown replay action', action);
+        }
+    }
+}
@@ -0,0 +1,83 @@
+/**
+ * SaveGame - Keep the run in progress in localStorage so it survives a reload
+ *
+ * Installed as a plugin: saves when the game pauses, when the tab is hidden
+ * and every CONFIG.SAVE_GAME_INTERVAL seconds; the save is dropped on game over.
+ */
+const SAVE_GAME_VERSION = 7;
+
+class SaveGame {
+    constructor() {
+        this.game = null;
+    }
+
+    /**
+     * Plugin entry point (see Game.use)
+     */
+    install(game) {
+        this.game = game;
+
+        game.on('paused', ({ paused }) => {
+            if (paused) this.save();
+        });
+        game.on('gameOver', () => SaveGame.clear());
+
+        // The page may be closed without ever coming back
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'hidden') this.save();
+        });
+
+        setInterval(() => this.save(), CONFIG.SAVE_GAME_INTERVAL * 1000);
+    }
+
+    /**
+     * Check whether the game is between ticks in a run worth keeping
+     */
+    canSave() {
+        const game = this.game;
+        return (
+            !game.replayPlayer &&
+            !(game.multiplayer && game.multiplayer.isInMatch()) && // A versus match can't be resumed alone
+            game.tick > 0 &&
+            game.currentBlock !== null &&
+            game.states.getPlayState() === GAME_STATES.FALLING // No animation or clear half done
+        );
+    }
+
+    /**
+     * Store the current run
+     */
+    save() {
+        if (!this.canSave()) return;
+
+        try {
+            const data = { v: SAVE_GAME_VERSION, state: this.game.serializeState() };
+            localStorage.setItem(CONFIG.SAVE_GAME_KEY, JSON.stringify(data));
+        } catch (error) {
+            // Storage full or disabled: the run simply won't be resumable
+            console.warn('Could not save game', error);
+        }
+    }
+
+    /**
+     * Get the saved run state, or null if there is none (or it is outdated)
+     */
+    static load() {
+        try {
+            const data = JSON.parse(localStorage.getItem(CONFIG.SAVE_GAME_KEY));
+            if (data && data.v === SAVE_GAME_VERSION) {
+                return data.state;
+            }
+        } catch (error) {
+            console.warn('Ignoring corrupt saved game', error);
+        }
+        return null;
+    }
+
+    /**
+     * Forget the saved run
+     */
+    static clear() {
+        localStorage.removeItem(CONFIG.SAVE_GAME_KEY);
+    }
+}
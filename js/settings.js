@@ -0,0 +1,104 @@
+/**
+ * Settings - Player choices made before a game starts, kept in localStorage
+ */
+const SETTINGS_DEFAULTS = Object.freeze({
+    pitSize: '5x5x15',      // Id of one of CONFIG.PIT_PRESETS
+    shapeSet: 'classic',    // Id of one of CONFIG.SHAPE_SETS
+    queueLength: 3,         // Upcoming blocks, 0 to CONFIG.MAX_QUEUE_LENGTH
+    previewMode: 'spin',    // 'spin' tumbles the upcoming blocks, 'spawn' shows them as they enter the pit
+    gravityMode: 'classic'  // Id of one of CONFIG.GRAVITY_MODES
+});
+
+class Settings {
+    /**
+     * Get all settings, falling back to the defaults
+     */
+    static load() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(CONFIG.SETTINGS_KEY) || '{}');
+            return { ...SETTINGS_DEFAULTS, ...stored };
+        } catch (error) {
+            return { ...SETTINGS_DEFAULTS };
+        }
+    }
+
+    /**
+     * Get a single setting
+     */
+    static get(name) {
+        return Settings.load()[name];
+    }
+
+    /**
+     * Change a single setting
+     */
+    static set(name, value) {
+        const settings = Settings.load();
+        settings[name] = value;
+        localStorage.setItem(CONFIG.SETTINGS_KEY, JSON.stringify(settings));
+    }
+
+    /**
+     * Get the chosen pit preset ({ id, name, width, depth, height })
+     */
+    static getPitPreset() {
+        return Settings.findPitPreset(Settings.get('pitSize')) ||
+            Settings.findPitPreset(SETTINGS_DEFAULTS.pitSize);
+    }
+
+    /**
+     * Find a pit preset by id
+     */
+    static findPitPreset(id) {
+        return CONFIG.PIT_PRESETS.find(preset => preset.id === id) || null;
+    }
+
+    /**
+     * Get the chosen shape set ({ id, name, unlocks })
+     */
+    static getShapeSet() {
+        return Settings.findShapeSet(Settings.get('shapeSet')) ||
+            Settings.findShapeSet(SETTINGS_DEFAULTS.shapeSet);
+    }
+
+    /**
+     * Find a shape set by id ('custom' is the player's own shapes, if any)
+     */
+    static findShapeSet(id) {
+        if (id === CUSTOM_SHAPE_SET_ID) {
+            return CustomShapes.getShapeSet();
+        }
+        return CONFIG.SHAPE_SETS.find(set => set.id === id) || null;
+    }
+
+    /**
+     * Get the chosen queue length, kept within 0..CONFIG.MAX_QUEUE_LENGTH
+     */
+    static getQueueLength() {
+        const length = Math.round(Number(Settings.get('queueLength')));
+        if (!Number.isFinite(length)) return SETTINGS_DEFAULTS.queueLength;
+        return Math.max(0, Math.min(CONFIG.MAX_QUEUE_LENGTH, length));
+    }
+
+    /**
+     * Get the chosen gravity mode ({ id, name, gravity, connectivity })
+     */
+    static getGravityMode() {
+        return Settings.findGravityMode(Settings.get('gravityMode')) ||
+            Settings.findGravityMode(SETTINGS_DEFAULTS.gravityMode);
+    }
+
+    /**
+     * Find a gravity mode by id
+     */
+    static findGravityMode(id) {
+        return CONFIG.GRAVITY_MODES.find(mode => mode.id === id) || null;
+    }
+
+    /**
+     * Id of a pit size, e.g. "5x5x15"
+     */
+    static pitSizeId({ width, depth, height }) {
+        return `${width}x${depth}x${height}`;
+    }
+}
@@ -0,0 +1,408 @@
+/**
+ * Shape editor - Build custom polycubes in the browser
+ *
+ * CustomShapes keeps the player's shapes in localStorage and turns them into
+ * the "Custom" shape set. ShapeEditor is the overlay: click cells in a small
+ * layered 3D grid, pick a color and save; the shape spins in a 3D preview.
+ */
+const CUSTOM_SHAPE_SET_ID = 'custom';
+
+/**
+ * CustomShapes - Storage for custom shapes ({ id, name, blocks, color })
+ */
+class CustomShapes {
+    /**
+     * Get the saved custom shapes
+     */
+    static load() {
+        try {
+            return JSON.parse(localStorage.getItem(CONFIG.CUSTOM_SHAPES_KEY) || '[]');
+        } catch (error) {
+            return [];
+        }
+    }
+
+    /**
+     * Store the custom shapes
+     */
+    static save(shapes) {
+        localStorage.setItem(CONFIG.CUSTOM_SHAPES_KEY, JSON.stringify(shapes));
+    }
+
+    /**
+     * Add a shape and return its record (with a new id and canonical blocks)
+     */
+    static add(name, blocks, color) {
+        const shapes = CustomShapes.load();
+        const number = shapes.reduce((max, shape) => Math.max(max, Number(shape.id.slice(1))), 0) + 1;
+        const shape = { id: `C${number}`, name, blocks: PolycubeLibrary.canonicalize(blocks), color };
+
+        shapes.push(shape);
+        CustomShapes.save(shapes);
+        return shape;
+    }
+
+    /**
+     * Delete a shape by id
+     */
+    static remove(id) {
+        CustomShapes.save(CustomShapes.load().filter(shape => shape.id !== id));
+    }
+
+    /**
+     * Build the shape set for a list of custom shapes: all of them from level 1
+     * The shapes are added to the polycube library so the generator finds them
+     */
+    static createShapeSet(shapes) {
+        const library = PolycubeLibrary.getDefault();
+        shapes.forEach(shape => library.add(shape));
+
+        return {
+            id: CUSTOM_SHAPE_SET_ID,
+            name: 'Custom',
+            shapes,
+            unlocks: [{ level: 1, shapes: shapes.map(shape => shape.id) }]
+        };
+    }
+
+    /**
+     * The shape set of the saved shapes, or null if there are none
+     */
+    static getShapeSet() {
+        const shapes = CustomShapes.load();
+        return shapes.length > 0 ? CustomShapes.createShapeSet(shapes) : null;
+    }
+
+    /**
+     * Check that every cube touches the others face to face
+     */
+    static isConnected(blocks) {
+        if (blocks.length === 0) return false;
+
+        const remaining = new Set(blocks.map(block => block.join(',')));
+        const queue = [blocks[0]];
+        remaining.delete(blocks[0].join(','));
+
+        while (queue.length > 0) {
+            const [x, y, z] = queue.shift();
+            for (const [dx, dy, dz] of [[1, 0, 0], [-1, 0, 0], [0, 1, 0], [0, -1, 0], [0, 0, 1], [0, 0, -1]]) {
+                const neighbor = [x + dx, y + dy, z + dz];
+                if (remaining.delete(neighbor.join(','))) {
+                    queue.push(neighbor);
+                }
+            }
+        }
+
+        return remaining.size === 0;
+    }
+}
+
+/**
+ * ShapeEditor - Overlay for building custom shapes
+ */
+class ShapeEditor {
+    constructor(onChange = () => {}) {
+        this.onChange = onChange; // Called after shapes were added or deleted
+        this.size = CONFIG.SHAPE_EDITOR.GRID_SIZE;
+        this.cells = new Set();   // "x,y,z" of the filled cells
+        this.color = CONFIG.BLOCK_COLORS[0];
+        this.previewMesh = null;
+        this.previewAnimation = null;
+
+        this.createOverlay();
+        this.setupPreview();
+    }
+
+    /**
+     * Build the overlay elements
+     */
+    createOverlay() {
+        this.overlay = document.createElement('div');
+        this.overlay.id = 'shape-editor';
+        this.overlay.className = 'hidden';
+        this.overlay.tabIndex = -1; // Keeps keyboard focus (and keys) inside the editor
+
+        const layers = [];
+        for (let z = this.size - 1; z >= 0; z--) {
+            let cells = '';
+            for (let y = this.size - 1; y >= 0; y--) {
+                for (let x = 0; x < this.size; x++) {
+                    cells += `<button class="editor-cell" data-cell="${x},${y},${z}"></button>`;
+                }
+            }
+            layers.push(`
+                <div class="editor-layer">
+                    <span>Layer ${z + 1}</span>
+                    <div class="editor-grid" style="grid-template-columns: repeat(${this.size}, 1fr)">${cells}</div>
+                </div>
+            `);
+        }
+
+        this.overlay.innerHTML = `
+            <h2>Shape Editor</h2>
+            <div class="editor-body">
+                <div class="editor-layers">${layers.join('')}</div>
+                <div class="editor-preview"></div>
+            </div>
+            <div class="editor-colors">
+                ${CONFIG.BLOCK_COLORS.map(color => {
+                    const hex = `#${color.toString(16).padStart(6, '0')}`;
+                    return `<button class="editor-color" data-color="${color}" style="background-color: ${hex}"></button>`;
+                }).join('')}
+            </div>
+            <div class="editor-actions">
+                <input class="editor-name" type="text" maxlength="20" placeholder="Shape name">
+                <button class="editor-save">Save</button>
+                <button class="editor-clear">Clear</button>
+                <button class="editor-close">Close</button>
+            </div>
+            <p class="editor-message"></p>
+            <h3>Your shapes</h3>
+            <ul class="editor-shapes"></ul>
+        `;
+
+        // Keys typed in the editor must not control the game behind it
+        this.overlay.addEventListener('keydown', (e) => {
+            e.stopPropagation();
+            if (e.code === 'Escape') this.close();
+        });
+        this.overlay.addEventListener('click', (e) => {
+            e.stopPropagation();
+            this.handleClick(e.target);
+        });
+
+        document.getElementById('game-container').appendChild(this.overlay);
+        this.messageElement = this.overlay.querySelector('.editor-message');
+        this.nameInput = this.overlay.querySelector('.editor-name');
+        this.updateColorButtons();
+    }
+
+    /**
+     * Set up the rotating 3D preview (same look as the next block preview)
+     */
+    setupPreview() {
+        this.previewContainer = this.overlay.querySelector('.editor-preview');
+        this.previewScene = new THREE.Scene();
+        this.previewCamera = new THREE.PerspectiveCamera(50, 1, 0.1, 1000);
+        this.previewCamera.position.set(6, 6, 6);
+        this.previewCamera.lookAt(0, 0, 0);
+
+        this.previewRenderer = new THREE.WebGLRenderer({ antialias: true, alpha: true });
+        this.previewRenderer.setClearColor(0x000000, 0);
+        this.previewRenderer.setPixelRatio(window.devicePixelRatio);
+        this.previewContainer.appendChild(this.previewRenderer.domElement);
+
+        const light = new THREE.DirectionalLight(0xffffff, 1);
+        light.position.set(5, 5, 5);
+        this.previewScene.add(light);
+        this.previewScene.add(new THREE.AmbientLight(0x404040));
+    }
+
+    /**
+     * Check whether the editor is showing
+     */
+    isOpen() {
+        return !this.overlay.classList.contains('hidden');
+    }
+
+    /**
+     * Show the editor
+     */
+    open() {
+        this.overlay.classList.remove('hidden');
+        this.overlay.focus();
+        this.setMessage('');
+        this.renderShapeList();
+
+        // Size the preview now that it is visible
+        const rect = this.previewContainer.getBoundingClientRect();
+        this.previewRenderer.setSize(rect.width, rect.height);
+        this.updatePreview();
+
+        const animate = (time) => {
+            if (this.previewMesh) {
+                this.previewMesh.rotation.y = time / 3000;
+                this.previewMesh.rotation.x = time / 4000;
+            }
+            this.previewRenderer.render(this.previewScene, this.previewCamera);
+            this.previewAnimation = requestAnimationFrame(animate);
+        };
+        this.previewAnimation = requestAnimationFrame(animate);
+    }
+
+    /**
+     * Hide the editor
+     */
+    close() {
+        this.overlay.classList.add('hidden');
+        if (this.previewAnimation) {
+            cancelAnimationFrame(this.previewAnimation);
+            this.previewAnimation = null;
+        }
+    }
+
+    /**
+     * Handle clicks on the editor's buttons
+     */
+    handleClick(target) {
+        if (target.dataset.cell) {
+            // Toggle a cell
+            const key = target.dataset.cell;
+            if (!this.cells.delete(key)) {
+                if (this.cells.size >= CONFIG.SHAPE_EDITOR.MAX_CUBES) {
+                    this.setMessage(`A shape can have at most ${CONFIG.SHAPE_EDITOR.MAX_CUBES} cubes`);
+                    return;
+                }
+                this.cells.add(key);
+            }
+            target.classList.toggle('filled', this.cells.has(key));
+            this.setMessage('');
+            this.updatePreview();
+        } else if (target.dataset.color) {
+            this.color = Number(target.dataset.color);
+            this.updateColorButtons();
+            this.updatePreview();
+        } else if (target.dataset.remove) {
+            CustomShapes.remove(target.dataset.remove);
+            this.renderShapeList();
+            this.onChange();
+        } else if (target.classList.contains('editor-save')) {
+            this.saveShape();
+        } else if (target.classList.contains('editor-clear')) {
+            this.clearCells();
+        } else if (target.classList.contains('editor-close')) {
+            this.close();
+        }
+    }
+
+    /**
+     * Blocks of the filled cells
+     */
+    getBlocks() {
+        return [...this.cells].map(key => key.split(',').map(Number));
+    }
+
+    /**
+     * Validate and store the current shape
+     */
+    saveShape() {
+        const blocks = this.getBlocks();
+
+        if (blocks.length === 0) {
+            this.setMessage('Click some cells first');
+            return;
+        }
+        if (!CustomShapes.isConnected(blocks)) {
+            this.setMessage('All cubes must touch face to face');
+            return;
+        }
+
+        // A shape that fits the pit in no spawn orientation would end the game at once
+        const pit = Settings.getPitPreset();
+        if (!new PolycubeModel(PolycubeLibrary.canonicalize(blocks)).canSpawnIn(pit)) {
+            this.setMessage(`This shape does not fit the ${pit.name} pit`);
+            return;
+        }
+
+        const key = PolycubeLibrary.canonicalKey(blocks);
+        if (CustomShapes.load().some(shape => PolycubeLibrary.canonicalKey(shape.blocks) === key)) {
+            this.setMessage('You already have this shape');
+            return;
+        }
+
+        const name = this.nameInput.value.trim() || `Custom ${blocks.length}-cube`;
+        CustomShapes.add(name, blocks, this.color);
+
+        this.clearCells();
+        this.nameInput.value = '';
+        this.setMessage(`Saved "${name}"`);
+        this.renderShapeList();
+        this.onChange();
+    }
+
+    /**
+     * Empty the grid
+     */
+    clearCells() {
+        this.cells.clear();
+        this.overlay.querySelectorAll('.editor-cell.filled').forEach(cell => cell.classList.remove('filled'));
+        this.updatePreview();
+    }
+
+    /**
+     * Show the current shape in the preview, centered
+     */
+    updatePreview() {
+        if (this.previewMesh) {
+            this.previewScene.remove(this.previewMesh);
+            this.previewMesh = null;
+        }
+
+        const blocks = this.getBlocks();
+        if (blocks.length > 0) {
+            const polycube = new Polycube(blocks, this.color);
+            polycube.position = [0, 0, 0];
+
+            // Wrap the mesh so it spins around the shape's center
+            const mesh = polycube.createMesh();
+            const center = new THREE.Box3().setFromObject(mesh).getCenter(new THREE.Vector3());
+            mesh.position.sub(center);
+
+            this.previewMesh = new THREE.Group();
+            this.previewMesh.add(mesh);
+            this.previewScene.add(this.previewMesh);
+        }
+
+        // Show the chosen color on the filled cells
+        const hex = `#${this.color.toString(16).padStart(6, '0')}`;
+        this.overlay.querySelectorAll('.editor-cell').forEach((cell) => {
+            cell.style.backgroundColor = cell.classList.contains('filled') ? hex : '';
+        });
+    }
+
+    /**
+     * Highlight the chosen color
+     */
+    updateColorButtons() {
+        this.overlay.querySelectorAll('.editor-color').forEach((button) => {
+            button.classList.toggle('selected', Number(button.dataset.color) === this.color);
+        });
+    }
+
+    /**
+     * List the saved shapes with delete buttons
+     */
+    renderShapeList() {
+        const shapes = CustomShapes.load();
+        const list = this.overlay.querySelector('.editor-shapes');
+
+        list.innerHTML = '';
+        if (shapes.length === 0) {
+            list.innerHTML = '<li>None yet</li>';
+            return;
+        }
+
+        // Names are typed by the player, so they only ever go in as text
+        shapes.forEach((shape) => {
+            const item = document.createElement('li');
+
+            const swatch = document.createElement('span');
+            swatch.className = 'editor-swatch';
+            swatch.style.backgroundColor = `#${shape.color.toString(16).padStart(6, '0')}`;
+
+            const remove = document.createElement('button');
+            remove.dataset.remove = shape.id;
+            remove.textContent = 'Delete';
+
+            item.append(swatch, `${shape.name} (${shape.blocks.length} cubes) `, remove);
+            list.appendChild(item);
+        });
+    }
+
+    /**
+     * Show a validation or status message
+     */
+    setMessage(text) {
+        this.messageElement.textContent = text;
+    }
+}
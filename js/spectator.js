@@ -0,0 +1,230 @@
+/**
+ * Spectator - Watch other players' pits from their relayed snapshots
+ *
+ * SpectatorView draws a remote pit with the regular Pit renderer, fed from
+ * PitModel snapshots instead of local gameplay. It is used as a miniature
+ * of the versus opponent, and full-screen by SpectatorClient when the page
+ * is opened with ?watch.
+ */
+class SpectatorView {
+    constructor(container) {
+        this.container = container;
+        this.pit = null;
+
+        this.scene = new THREE.Scene();
+        this.camera = new THREE.PerspectiveCamera(50, 1, 0.1, 1000);
+
+        this.renderer = new THREE.WebGLRenderer({ antialias: true, alpha: true });
+        this.renderer.setClearColor(0x000000, 0);
+        this.renderer.setPixelRatio(Math.min(window.devicePixelRatio, 2));
+        container.appendChild(this.renderer.domElement);
+
+        // Same lighting idea as the main scene: soft ambient plus light from above
+        this.scene.add(new THREE.AmbientLight(0x666666, 1));
+        this.light = new THREE.DirectionalLight(0xffffff, 0.8);
+        this.scene.add(this.light);
+        this.scene.add(this.light.target);
+
+        window.addEventListener('resize', () => this.resize());
+    }
+
+    /**
+     * Show a player state ({ pit, score, level }) received from the relay
+     */
+    showState(state) {
+        const { width, depth, height } = state.pit;
+
+        // Rebuild the pit when the player uses a different size
+        if (!this.pit || this.pit.width !== width || this.pit.depth !== depth || this.pit.height !== height) {
+            if (this.pit) {
+                this.scene.remove(this.pit.mesh);
+            }
+            this.pit = new Pit(width, depth, height);
+            this.scene.add(this.pit.mesh);
+            this.resize();
+        }
+
+        this.pit.model.loadSnapshot(state.pit);
+        this.render();
+    }
+
+    /**
+     * Forget the shown pit
+     */
+    clear() {
+        if (this.pit) {
+            this.scene.remove(this.pit.mesh);
+            this.pit = null;
+        }
+        this.render();
+    }
+
+    /**
+     * Fit the renderer to its container and aim the camera into the pit
+     */
+    resize() {
+        const rect = this.container.getBoundingClientRect();
+        if (rect.width === 0 || rect.height === 0) return;
+
+        this.renderer.setSize(rect.width, rect.height);
+        this.camera.aspect = rect.width / rect.height;
+
+        if (this.pit) {
+            const centerX = this.pit.width / 2;
+            const centerY = this.pit.depth / 2;
+
+            // Back off far enough to fit the pit opening, then look down the well
+            const tanHalfFov = Math.tan(this.camera.fov * Math.PI / 360);
+            const distance = Math.max(
+                (this.pit.width / 2) / (tanHalfFov * this.camera.aspect),
+                (this.pit.depth / 2) / tanHalfFov
+            ) + this.pit.height * 0.95;
+
+            this.camera.position.set(centerX, centerY, distance);
+            this.camera.lookAt(centerX, centerY, 0);
+            this.light.position.set(centerX, centerY, distance);
+            this.light.target.position.set(centerX, centerY, 0);
+        }
+
+        this.camera.updateProjectionMatrix();
+        this.render();
+    }
+
+    /**
+     * Draw the view (only needed when something changed)
+     */
+    render() {
+        this.renderer.render(this.scene, this.camera);
+    }
+}
+
+/**
+ * SpectatorClient - Watch-only mode: follow every player on the relay
+ */
+class SpectatorClient {
+    constructor(url = MultiplayerClient.serverUrl()) {
+        this.url = url;
+        this.socket = null;
+        this.players = new Map(); // Player id -> last state
+        this.watchedId = null;
+
+        this.view = new SpectatorView(document.getElementById('game-canvas'));
+        this.scoreElement = document.getElementById('score-value');
+        this.levelElement = document.getElementById('level-value');
+        this.statusElement = document.createElement('div');
+        this.statusElement.id = 'watch-status';
+        document.getElementById('ui-overlay').prepend(this.statusElement);
+    }
+
+    /**
+     * Check whether the page was opened in watch-only mode (?watch)
+     */
+    static isWatchMode() {
+        return new URLSearchParams(window.location.search).has('watch');
+    }
+
+    /**
+     * Connect to the relay and start following players
+     */
+    start() {
+        // Nothing to play in watch mode
+        document.getElementById('next-block').classList.add('hidden');
+        document.getElementById('hold-block').classList.add('hidden');
+        document.getElementById('blocks').classList.add('hidden');
+        this.view.resize();
+
+        // Arrow keys switch between players
+        document.addEventListener('keydown', (e) => {
+            if (e.code === 'ArrowLeft') this.cycle(-1);
+            if (e.code === 'ArrowRight') this.cycle(1);
+        });
+
+        this.setStatus('Connecting...');
+        try {
+            this.socket = new WebSocket(this.url);
+        } catch (error) {
+            this.setStatus('No relay server');
+            return;
+        }
+
+        this.socket.addEventListener('open', () => {
+            this.socket.send(JSON.stringify({ type: 'watch' }));
+            this.updateStatus();
+        });
+        this.socket.addEventListener('message', (event) => {
+            try {
+                this.handleMessage(JSON.parse(event.data));
+            } catch (error) {
+                console.warn('Ignoring malformed relay message', error);
+            }
+        });
+        this.socket.addEventListener('close', () => this.setStatus('No relay server'));
+    }
+
+    /**
+     * Handle a message from the relay
+     */
+    handleMessage(message) {
+        if (message.type === 'state') {
+            this.players.set(message.from, message);
+            if (this.watchedId === null) {
+                this.watchedId = message.from;
+            }
+        } else if (message.type === 'player-left') {
+            this.players.delete(message.id);
+            if (this.watchedId === message.id) {
+                this.watchedId = this.players.size > 0 ? this.players.keys().next().value : null;
+            }
+        } else {
+            return;
+        }
+
+        this.showWatched();
+    }
+
+    /**
+     * Switch to the previous (-1) or next (1) player
+     */
+    cycle(direction) {
+        const ids = [...this.players.keys()];
+        if (ids.length === 0) return;
+
+        const index = ids.indexOf(this.watchedId);
+        this.watchedId = ids[(index + direction + ids.length) % ids.length];
+        this.showWatched();
+    }
+
+    /**
+     * Draw the watched player's pit and numbers
+     */
+    showWatched() {
+        const state = this.players.get(this.watchedId);
+        if (state) {
+            this.view.showState(state);
+            this.scoreElement.textContent = state.score;
+            this.levelElement.textContent = state.level;
+        } else {
+            this.view.clear();
+        }
+        this.updateStatus();
+    }
+
+    /**
+     * Show who is being watched
+     */
+    updateStatus() {
+        const ids = [...this.players.keys()];
+        if (ids.length === 0) {
+            this.setStatus('Waiting for players...');
+        } else {
+            this.setStatus(`Watching player ${this.watchedId} (${ids.indexOf(this.watchedId) + 1}/${ids.length}, ←/→ to switch)`);
+        }
+    }
+
+    /**
+     * Set the status line
+     */
+    setStatus(text) {
+        this.statusElement.textContent = text;
+    }
+}
@@ -9,9 +9,18 @@ class UI {
         this.scoreElement = document.getElementById('score-value');
         this.levelElement = document.getElementById('level-value');
         this.blocksElement = document.getElementById('blocks-value');
+        this.columnElement = document.getElementById('column-value');
+        this.columnSwatch = document.getElementById('column-swatch');
         this.finalScoreElement = document.getElementById('final-score');
+        this.finalSeedElement = document.getElementById('final-seed');
         this.gameOverPanel = document.getElementById('game-over');
         this.nextBlockPreview = document.getElementById('next-block');
+        this.holdBlockPreview = document.getElementById('hold-block');
+        this.kickIndicator = document.getElementById('kick-indicator');
+        this.powerUpIndicator = document.getElementById('power-up-indicator');
+        this.chainIndicator = document.getElementById('chain-indicator');
+        this.dangerWarning = document.getElementById('danger-warning');
+        this.kickTimeout = null;
         
         // Initialize UI
         this.updateScore(0);
@@ -20,7 +29,9 @@ class UI {
         this.hideGameOver();
         
         // Create scene for next block preview
+        this.previewMode = Settings.get('previewMode');
         this.setupNextBlockPreview();
+        this.setupHoldPreview();
     }
     
     /**
@@ -30,11 +41,8 @@ class UI {
         // Create a small Three.js scene for the next block preview
         this.previewScene = new THREE.Scene();
         
-        // Camera for preview - adjusted position to show more of the block
+        // Camera for preview (placed by updateNextBlockPreview for the preview mode)
         this.previewCamera = new THREE.PerspectiveCamera(50, 1, 0.1, 1000);
-        // Adjusted camera position to be more perpendicular to the blocks
-        this.previewCamera.position.set(8, 8, 8);
-        this.previewCamera.lookAt(0, 0, 0);
         
         // Renderer for preview with transparent background
         this.previewRenderer = new THREE.WebGLRenderer({ 
@@ -80,10 +88,25 @@ class UI {
         this.previewCamera.updateProjectionMatrix();
     }
     
+    /**
+     * Switch between tumbling blocks ('spin') and blocks shown as they will
+     * enter the pit ('spawn')
+     */
+    setPreviewMode(mode) {
+        this.previewMode = mode;
+        this.updateNextBlockPreview(this.lastNextBlocks);
+    }
+    
     /**
      * Update the next block preview
      */
     updateNextBlockPreview(nextBlocks) {
+        this.lastNextBlocks = nextBlocks;
+        const spawnView = this.previewMode === 'spawn';
+        
+        // Nothing to show without a queue
+        this.nextBlockPreview.classList.toggle('hidden', !nextBlocks || nextBlocks.length === 0);
+        
         // Cancel any existing animation
         if (this.previewAnimation) {
             cancelAnimationFrame(this.previewAnimation);
@@ -104,6 +127,16 @@ class UI {
             // Calculate total height needed for all blocks
             const totalHeight = (nextBlocks.length - 1) * 3; // Spacing between blocks
             
+            if (spawnView) {
+                // Look straight down like the main camera, far enough for the whole queue
+                const distance = Math.max(10, (totalHeight + 4) / Math.tan(this.previewCamera.fov * Math.PI / 360) / 2);
+                this.previewCamera.position.set(0, 0, distance);
+            } else {
+                // Adjusted camera position to be more perpendicular to the blocks
+                this.previewCamera.position.set(8, 8, 8);
+            }
+            this.previewCamera.lookAt(0, 0, 0);
+            
             // Create preview meshes for each block
             nextBlocks.forEach((block, index) => {
                 if (block) {
@@ -112,6 +145,10 @@ class UI {
                     
                     // Reset position to center before creating mesh
                     previewBlock.position = [0, 0, 0];
+                    if (spawnView) {
+                        // The same orientation spawnBlock gives it in this pit
+                        previewBlock.resetOrientation(previewBlock.getSpawnOrientation(this.game.pit));
+                    }
                     
                     // Create the mesh but don't add to main scene
                     const mesh = previewBlock.createMesh();
@@ -129,8 +166,14 @@ class UI {
                     
                     // Position the block vertically based on its index
                     // Center the entire group of blocks by offsetting by half the total height
-                    // Add a negative offset to move everything lower
-                    mesh.position.y = (nextBlocks.length - 1 - index) * 3 - (totalHeight / 2) - 6;
+                    const slot = (nextBlocks.length - 1 - index) * 3 - (totalHeight / 2);
+                    if (spawnView) {
+                        // Keep the block centered on its slot, seen from above
+                        mesh.position.y += slot;
+                    } else {
+                        // Add a negative offset to move everything lower
+                        mesh.position.y = slot - 6;
+                    }
                     
                     // Add to preview scene
                     this.previewScene.add(mesh);
@@ -145,9 +188,11 @@ class UI {
             // Animate rotation with fixed angles to prevent warping
             const animate = (time) => {
                 this.previewMeshes.forEach((mesh, index) => {
-                    // Rotate all blocks
-                    mesh.rotation.y = time / 3000; // Slower Y rotation
-                    mesh.rotation.x = time / 4000; // Slower X rotation
+                    // Rotate all blocks (unless they show their spawn orientation)
+                    if (!spawnView) {
+                        mesh.rotation.y = time / 3000; // Slower Y rotation
+                        mesh.rotation.x = time / 4000; // Slower X rotation
+                    }
                     
                     // Add pulsing effect to the next block (first in the array)
                     if (index === 0) {
@@ -167,6 +212,91 @@ class UI {
         }
     }
     
+    /**
+     * Set up the 3D preview for the held block (same look as the next block preview)
+     */
+    setupHoldPreview() {
+        this.holdScene = new THREE.Scene();
+        this.holdCamera = new THREE.PerspectiveCamera(50, 1, 0.1, 1000);
+        this.holdCamera.position.set(8, 8, 8);
+        this.holdCamera.lookAt(0, 0, 0);
+        
+        this.holdRenderer = new THREE.WebGLRenderer({ antialias: true, alpha: true, premultipliedAlpha: false });
+        this.holdRenderer.setClearColor(0x000000, 0);
+        this.holdRenderer.setPixelRatio(window.devicePixelRatio);
+        this.holdRenderer.domElement.style.background = 'transparent';
+        this.holdBlockPreview.appendChild(this.holdRenderer.domElement);
+        this.updateHoldPreviewSize();
+        
+        const light = new THREE.DirectionalLight(0xffffff, 1);
+        light.position.set(5, 5, 5);
+        this.holdScene.add(light);
+        this.holdScene.add(new THREE.AmbientLight(0x404040));
+        
+        this.holdMesh = null;
+        this.holdAnimation = null;
+        window.addEventListener('resize', () => this.updateHoldPreviewSize());
+    }
+    
+    /**
+     * Fit the hold preview renderer to its panel
+     */
+    updateHoldPreviewSize() {
+        const rect = this.holdBlockPreview.getBoundingClientRect();
+        if (rect.width === 0 || rect.height === 0) return;
+        
+        this.holdRenderer.setSize(rect.width, rect.height);
+        this.holdCamera.aspect = rect.width / rect.height;
+        this.holdCamera.updateProjectionMatrix();
+    }
+    
+    /**
+     * Dim the hold panel while the hold is used up for the current block
+     */
+    setHoldAvailable(canHold) {
+        this.holdBlockPreview.classList.toggle('used', !canHold);
+    }
+    
+    /**
+     * Show the held block (or an empty slot)
+     */
+    updateHoldPreview(block) {
+        if (this.holdAnimation) {
+            cancelAnimationFrame(this.holdAnimation);
+            this.holdAnimation = null;
+        }
+        if (this.holdMesh) {
+            this.holdScene.remove(this.holdMesh);
+            this.holdMesh = null;
+        }
+
+        if (block) {
+            const previewBlock = block.clone();
+            previewBlock.position = [0, 0, 0];
+            
+            // Center the block in view
+            const mesh = previewBlock.createMesh();
+            mesh.scale.set(0.7, 0.7, 0.7);
+            const center = new THREE.Box3().setFromObject(mesh).getCenter(new THREE.Vector3());
+            mesh.position.sub(center);
+            
+            // Wrap it so it spins around its center
+            this.holdMesh = new THREE.Group();
+            this.holdMesh.add(mesh);
+            this.holdScene.add(this.holdMesh);
+        }
+        
+        const animate = (time) => {
+            if (this.holdMesh) {
+                this.holdMesh.rotation.y = time / 3000;
+                this.holdMesh.rotation.x = time / 4000;
+            }
+            this.holdRenderer.render(this.holdScene, this.holdCamera);
+            this.holdAnimation = block ? requestAnimationFrame(animate) : null;
+        };
+        this.holdAnimation = requestAnimationFrame(animate);
+    }
+    
     /**
      * Update the score display
      */
@@ -189,6 +319,59 @@ class UI {
         this.levelElement.textContent = level;
     }
     
+    /**
+     * Briefly show the wall kick a rotation used
+     */
+    showKick(kick) {
+        // Name the kick by the directions it moved the block
+        const names = [['left', 'right'], ['back', 'forward'], ['down', 'up']];
+        const directions = kick.offset
+            .map((value, axis) => value === 0 ? null : `${names[axis][value > 0 ? 1 : 0]}${Math.abs(value) > 1 ? ` ${Math.abs(value)}` : ''}`)
+            .filter(Boolean);
+        
+        this.kickIndicator.textContent = `Kick ${directions.join(' + ')}`;
+        this.kickIndicator.classList.add('visible');
+        
+        clearTimeout(this.kickTimeout);
+        this.kickTimeout = setTimeout(() => {
+            this.kickIndicator.classList.remove('visible');
+        }, 800);
+    }
+    
+    /**
+     * Briefly name the power-up that just went off, in its edge color
+     */
+    showPowerUp(type) {
+        this.powerUpIndicator.textContent = `${type.name}!`;
+        this.powerUpIndicator.style.color = `#${type.edgeColor.toString(16).padStart(6, '0')}`;
+        this.powerUpIndicator.classList.add('visible');
+        
+        clearTimeout(this.powerUpTimeout);
+        this.powerUpTimeout = setTimeout(() => {
+            this.powerUpIndicator.classList.remove('visible');
+        }, 1200);
+    }
+    
+    /**
+     * Briefly show the step and multiplier of a chain reaction
+     */
+    showChain(chain, multiplier) {
+        this.chainIndicator.textContent = `Chain x${chain} (${multiplier}x points)`;
+        this.chainIndicator.classList.add('visible');
+        
+        clearTimeout(this.chainTimeout);
+        this.chainTimeout = setTimeout(() => {
+            this.chainIndicator.classList.remove('visible');
+        }, 1500);
+    }
+    
+    /**
+     * Show or hide the warning that the stack is close to the top
+     */
+    showDanger(inDanger) {
+        this.dangerWarning.classList.toggle('hidden', !inDanger);
+    }
+    
     /**
      * Update the blocks counter display
      */
@@ -196,15 +379,27 @@ class UI {
         this.blocksElement.textContent = blocks;
     }
     
+    /**
+     * Show the tallest same-color column against the height that clears it
+     */
+    updateColumn(height, color, clearHeight) {
+        this.columnElement.textContent = `${height}/${clearHeight}`;
+        this.columnSwatch.style.background = color === null ? 'transparent' :
+            `#${color.toString(16).padStart(6, '0')}`;
+    }
+    
     /**
      * Show game over screen
      */
-    showGameOver(score) {
+    showGameOver(score, seed, replay) {
         this.finalScoreElement.textContent = score;
+        
+        // Show the seed so the run can be shared and replayed with ?seed=
+        this.finalSeedElement.textContent = seed;
         this.gameOverPanel.classList.remove('hidden');
         
         // Show high scores
-        this.displayHighScores(score);
+        this.displayHighScores(score, replay);
     }
     
     /**
@@ -215,9 +410,10 @@ class UI {
     }
     
     /**
-     * Display high scores
+     * Display high scores, saving the current score with its replay if it qualifies
+     * (no replay means a replay was being watched, which is never saved)
      */
-    displayHighScores(currentScore) {
+    displayHighScores(currentScore, replay) {
         // Check if high score element already exists and remove it
         const existingHighScores = document.getElementById('high-scores');
         if (existingHighScores) {
@@ -232,9 +428,9 @@ class UI {
         const highScores = this.getHighScores();
         
         // Check if current score qualifies as high score
-        if (currentScore > 0 && (highScores.length < 5 || currentScore > highScores[highScores.length - 1].score)) {
+        if (replay && currentScore > 0 && (highScores.length < 5 || currentScore > highScores[highScores.length - 1].score)) {
             const playerName = this.getPlayerName();
-            this.saveHighScore(playerName, currentScore);
+            this.saveHighScore(playerName, currentScore, replay);
         }
         
         // Get updated high scores
@@ -242,13 +438,13 @@ class UI {
         
         // Create high scores list
         const title = document.createElement('h3');
-        title.textContent = 'High Scores';
+        title.textContent = `High Scores (${Settings.pitSizeId(this.game.pit)})`;
         highScoresPanel.appendChild(title);
         
         const list = document.createElement('ol');
         updatedHighScores.forEach((scoreEntry) => {
             const item = document.createElement('li');
-            item.textContent = `${scoreEntry.name}: ${scoreEntry.score}`;
+            item.textContent = `${scoreEntry.name}: ${scoreEntry.score} (${UI.shapeSetName(scoreEntry)})`;
             list.appendChild(item);
         });
         
@@ -256,6 +452,15 @@ class UI {
         this.gameOverPanel.appendChild(highScoresPanel);
     }
     
+    /**
+     * Name of the shape set a high score was played with
+     * (scores from before shape sets existed used the classic shapes)
+     */
+    static shapeSetName(scoreEntry) {
+        const shapeSet = Settings.findShapeSet(scoreEntry.shapeSet || SETTINGS_DEFAULTS.shapeSet);
+        return shapeSet ? shapeSet.name : scoreEntry.shapeSet;
+    }
+    
     /**
      * Get player name from localStorage or prompt
      */
@@ -268,13 +473,13 @@ class UI {
     }
     
     /**
-     * Save high score to localStorage
+     * Save high score to localStorage, together with the replay of the run
      */
-    saveHighScore(name, score) {
+    saveHighScore(name, score, replay) {
         const highScores = this.getHighScores();
         
-        // Add new score
-        highScores.push({ name, score });
+        // Add new score, remembering which shape set it was played with
+        highScores.push({ name, score, shapeSet: replay.shapeSet, replay });
         
         // Sort by score (descending)
         highScores.sort((a, b) => b.score - a.score);
@@ -282,15 +487,40 @@ class UI {
         // Keep only top 5
         const topScores = highScores.slice(0, 5);
         
-        // Save to localStorage
-        localStorage.setItem(CONFIG.HIGH_SCORE_KEY, JSON.stringify(topScores));
+        // Save to localStorage; replays are big, so when the storage is full
+        // drop them from the lowest scores up and keep just the scores
+        for (;;) {
+            try {
+                localStorage.setItem(this.getHighScoreKey(), JSON.stringify(topScores));
+                return;
+            } catch (error) {
+                const entry = [...topScores].reverse().find(scoreEntry => scoreEntry.replay);
+                if (!entry) {
+                    console.warn('Could not save the high scores', error);
+                    return;
+                }
+                delete entry.replay;
+            }
+        }
+    }
+    
+    /**
+     * localStorage key of the high-score table for the current pit size
+     * (scores from different sizes can't be compared)
+     */
+    getHighScoreKey() {
+        const size = Settings.pitSizeId(this.game.pit);
+        if (size === CONFIG.LEGACY_HIGH_SCORE_SIZE) {
+            return CONFIG.HIGH_SCORE_KEY; // Keeps the scores saved before sizes were selectable
+        }
+        return `${CONFIG.HIGH_SCORE_KEY}_${size}`;
     }
     
     /**
      * Get high scores from localStorage
      */
     getHighScores() {
-        const scores = localStorage.getItem(CONFIG.HIGH_SCORE_KEY);
+        const scores = localStorage.getItem(this.getHighScoreKey());
         return scores ? JSON.parse(scores) : [];
     }
 } 
\ No newline at end of file
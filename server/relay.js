@@ -0,0 +1,415 @@
+/**
+ * Relay - WebSocket relay server for Space Cubes versus matches
+ *
+ * Run with `node server/relay.js [port]` (default 8787). No dependencies:
+ * the WebSocket handshake and framing are done on top of Node's http module.
+ *
+ * Clients send JSON messages:
+ *   { type: 'join' }                        wait for an opponent
+ *   { type: 'watch' }                       become a spectator
+ *   { type: 'state', pit, score, level }    forwarded to the opponent and spectators
+ *   { type: 'attack', layers }              forwarded to the opponent
+ *   { type: 'topout' }                      forwarded; ends the match
+ * The relay sends { type: 'hello', id }, { type: 'paired', opponent },
+ * { type: 'opponent-left' } and, to spectators, { type: 'player-left', id }.
+ * It keeps each player's last state so opponents and spectators who
+ * arrive late start from a full snapshot.
+ */
+const http = require('http');
+const crypto = require('crypto');
+
+const DEFAULT_PORT = 8787;
+const WEBSOCKET_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+const MAX_MESSAGE_SIZE = 1024 * 1024; // Pit snapshots are a few KB at most
+
+// WebSocket opcodes
+const OPCODE_CONTINUATION = 0x0;
+const OPCODE_TEXT = 0x1;
+const OPCODE_BINARY = 0x2;
+const OPCODE_CLOSE = 0x8;
+const OPCODE_PING = 0x9;
+const OPCODE_PONG = 0xA;
+
+// WebSocket close codes
+const CLOSE_PROTOCOL_ERROR = 1002;
+const CLOSE_INVALID_DATA = 1007;
+const CLOSE_TOO_BIG = 1009;
+
+/**
+ * Connection - One WebSocket client on top of a raw socket
+ */
+class Connection {
+    constructor(id, socket, onMessage, onClose) {
+        this.id = id;
+        this.socket = socket;
+        this.buffer = Buffer.alloc(0);
+        this.fragments = null; // { opcode, payloads, length } of a message still arriving in parts
+        this.closed = false;
+        this.onMessage = onMessage;
+        this.onClose = onClose;
+
+        socket.on('data', (data) => this.receive(data));
+        socket.on('close', () => this.handleClose());
+        socket.on('error', () => this.handleClose());
+    }
+
+    /**
+     * Collect incoming bytes and handle every complete frame
+     */
+    receive(data) {
+        this.buffer = Buffer.concat([this.buffer, data]);
+
+        let frame;
+        while (!this.closed && (frame = this.readFrame()) !== null) {
+            if (frame.opcode === OPCODE_PING) {
+                this.sendFrame(OPCODE_PONG, frame.payload);
+            } else if (frame.opcode === OPCODE_CLOSE) {
+                this.close();
+                return;
+            } else if (frame.opcode <= OPCODE_BINARY) {
+                const message = this.assemble(frame);
+                if (message && message.opcode === OPCODE_TEXT) {
+                    this.onMessage(this, message.payload.toString('utf8'));
+                }
+            }
+            // Pongs and binary messages are ignored
+        }
+    }
+
+    /**
+     * Collect the frames of a data message; returns the whole message once its
+     * final frame arrived, or null while more are to come
+     */
+    assemble(frame) {
+        if (frame.opcode === OPCODE_CONTINUATION) {
+            if (!this.fragments) {
+                this.close(CLOSE_PROTOCOL_ERROR); // Nothing to continue
+                return null;
+            }
+        } else if (this.fragments) {
+            this.close(CLOSE_PROTOCOL_ERROR); // A new message before the last one ended
+            return null;
+        } else {
+            this.fragments = { opcode: frame.opcode, payloads: [], length: 0 };
+        }
+
+        this.fragments.payloads.push(frame.payload);
+        this.fragments.length += frame.payload.length;
+        if (this.fragments.length > MAX_MESSAGE_SIZE) {
+            this.close(CLOSE_TOO_BIG);
+            return null;
+        }
+        if (!frame.fin) return null;
+
+        const message = { opcode: this.fragments.opcode, payload: Buffer.concat(this.fragments.payloads) };
+        this.fragments = null;
+        return message;
+    }
+
+    /**
+     * Take one complete frame off the buffer, or return null if incomplete
+     */
+    readFrame() {
+        if (this.buffer.length < 2) return null;
+
+        const fin = (this.buffer[0] & 0x80) !== 0;
+        const opcode = this.buffer[0] & 0x0F;
+        const masked = (this.buffer[1] & 0x80) !== 0;
+        let length = this.buffer[1] & 0x7F;
+        let offset = 2;
+
+        if (length === 126) {
+            if (this.buffer.length < 4) return null;
+            length = this.buffer.readUInt16BE(2);
+            offset = 4;
+        } else if (length === 127) {
+            if (this.buffer.length < 10) return null;
+            length = Number(this.buffer.readBigUInt64BE(2));
+            offset = 10;
+        }
+
+        // Refuse anything far bigger than a pit snapshot
+        if (length > MAX_MESSAGE_SIZE) {
+            this.close(CLOSE_TOO_BIG);
+            return null;
+        }
+
+        const maskLength = masked ? 4 : 0;
+        if (this.buffer.length < offset + maskLength + length) return null;
+
+        const mask = this.buffer.subarray(offset, offset + maskLength);
+        const payload = Buffer.from(this.buffer.subarray(offset + maskLength, offset + maskLength + length));
+        if (masked) {
+            for (let i = 0; i < payload.length; i++) {
+                payload[i] ^= mask[i % 4];
+            }
+        }
+
+        this.buffer = this.buffer.subarray(offset + maskLength + length);
+        return { fin, opcode, payload };
+    }
+
+    /**
+     * Send a single unmasked frame (servers never mask)
+     */
+    sendFrame(opcode, payload) {
+        if (this.closed) return;
+
+        let header;
+        if (payload.length < 126) {
+            header = Buffer.from([0x80 | opcode, payload.length]);
+        } else if (payload.length < 65536) {
+            header = Buffer.alloc(4);
+            header[0] = 0x80 | opcode;
+            header[1] = 126;
+            header.writeUInt16BE(payload.length, 2);
+        } else {
+            header = Buffer.alloc(10);
+            header[0] = 0x80 | opcode;
+            header[1] = 127;
+            header.writeBigUInt64BE(BigInt(payload.length), 2);
+        }
+
+        this.socket.write(Buffer.concat([header, payload]));
+    }
+
+    /**
+     * Send a message object as JSON
+     */
+    send(message) {
+        this.sendFrame(OPCODE_TEXT, Buffer.from(JSON.stringify(message), 'utf8'));
+    }
+
+    /**
+     * Close the connection, optionally telling the client why
+     */
+    close(code = null) {
+        if (this.closed) return;
+
+        const payload = Buffer.alloc(code === null ? 0 : 2);
+        if (code !== null) {
+            payload.writeUInt16BE(code, 0);
+        }
+        this.sendFrame(OPCODE_CLOSE, payload);
+        this.socket.end();
+        this.handleClose();
+    }
+
+    /**
+     * Notify the relay once when the connection goes away
+     */
+    handleClose() {
+        if (this.closed) return;
+
+        this.closed = true;
+        this.onClose(this);
+    }
+}
+
+/**
+ * Relay - Pair waiting players and forward messages between them
+ */
+class Relay {
+    constructor() {
+        this.nextId = 1;
+        this.waiting = [];           // Connections looking for an opponent
+        this.opponents = new Map();  // Connection -> opponent connection
+        this.spectators = new Set(); // Connections watching every player
+        this.states = new Map();     // Connection -> last state it sent
+    }
+
+    /**
+     * Accept a new WebSocket connection
+     */
+    connect(socket) {
+        const connection = new Connection(
+            this.nextId++,
+            socket,
+            (conn, text) => this.handleMessage(conn, text),
+            (conn) => this.disconnect(conn)
+        );
+
+        connection.send({ type: 'hello', id: connection.id });
+        return connection;
+    }
+
+    /**
+     * Handle a message from a client. A message that breaks the relay closes
+     * the connection that sent it, never the relay
+     */
+    handleMessage(connection, text) {
+        let message;
+        try {
+            message = JSON.parse(text);
+        } catch (error) {
+            return; // Ignore garbage input
+        }
+
+        // Only plain objects with a type are messages
+        if (!Relay.isMessage(message)) return;
+
+        try {
+            switch (message.type) {
+                case 'join':
+                    this.join(connection);
+                    break;
+                case 'watch':
+                    this.watch(connection);
+                    break;
+                case 'state':
+                    this.updateState(connection, message);
+                    break;
+                case 'attack':
+                    this.forward(connection, message);
+                    break;
+                case 'topout':
+                    this.forward(connection, message);
+                    this.endMatch(connection);
+                    break;
+            }
+        } catch (error) {
+            console.warn(`Closing connection ${connection.id} after a bad message:`, error);
+            connection.close(CLOSE_INVALID_DATA);
+        }
+    }
+
+    /**
+     * Check whether parsed JSON has the shape of a client message
+     */
+    static isMessage(message) {
+        return typeof message === 'object' && message !== null && !Array.isArray(message) &&
+            typeof message.type === 'string';
+    }
+
+    /**
+     * Queue a connection and pair it with the first waiting player
+     */
+    join(connection) {
+        if (this.opponents.has(connection) || this.waiting.includes(connection)) return;
+
+        const opponent = this.waiting.shift();
+        if (!opponent) {
+            this.waiting.push(connection);
+            return;
+        }
+
+        this.opponents.set(connection, opponent);
+        this.opponents.set(opponent, connection);
+        connection.send({ type: 'paired', opponent: opponent.id });
+        opponent.send({ type: 'paired', opponent: connection.id });
+
+        // Start both from the other's current pit
+        this.sendLastState(opponent, connection);
+        this.sendLastState(connection, opponent);
+    }
+
+    /**
+     * Add a spectator and catch it up on every player
+     */
+    watch(connection) {
+        this.spectators.add(connection);
+        this.states.forEach((state, player) => this.sendLastState(player, connection));
+    }
+
+    /**
+     * Store a player's state and pass it on to its opponent and the spectators
+     */
+    updateState(connection, message) {
+        const state = { ...message, from: connection.id };
+        this.states.set(connection, state);
+
+        this.forward(connection, message);
+        this.spectators.forEach(spectator => spectator.send(state));
+    }
+
+    /**
+     * Send the last known state of a player, if any, to another connection
+     */
+    sendLastState(player, connection) {
+        const state = this.states.get(player);
+        if (state) {
+            connection.send(state);
+        }
+    }
+
+    /**
+     * Forward a message to the sender's opponent
+     */
+    forward(connection, message) {
+        const opponent = this.opponents.get(connection);
+        if (opponent) {
+            opponent.send({ ...message, from: connection.id });
+        }
+    }
+
+    /**
+     * Unpair both players of a match
+     */
+    endMatch(connection) {
+        const opponent = this.opponents.get(connection);
+        this.opponents.delete(connection);
+        if (opponent) {
+            this.opponents.delete(opponent);
+        }
+        return opponent;
+    }
+
+    /**
+     * Forget a closed connection and tell its opponent
+     */
+    disconnect(connection) {
+        this.waiting = this.waiting.filter(c => c !== connection);
+        this.spectators.delete(connection);
+
+        if (this.states.delete(connection)) {
+            this.spectators.forEach(spectator => spectator.send({ type: 'player-left', id: connection.id }));
+        }
+
+        const opponent = this.endMatch(connection);
+        if (opponent) {
+            opponent.send({ type: 'opponent-left' });
+        }
+    }
+}
+
+/**
+ * Start the relay on an HTTP server that only accepts WebSocket upgrades
+ */
+function startRelay(port = DEFAULT_PORT) {
+    const relay = new Relay();
+
+    const server = http.createServer((req, res) => {
+        res.writeHead(426, { 'Content-Type': 'text/plain' });
+        res.end('Space Cubes relay: connect with a WebSocket\n');
+    });
+
+    server.on('upgrade', (req, socket) => {
+        const key = req.headers['sec-websocket-key'];
+        if (!key || (req.headers.upgrade || '').toLowerCase() !== 'websocket') {
+            socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+            return;
+        }
+
+        const accept = crypto.createHash('sha1').update(key + WEBSOCKET_GUID).digest('base64');
+        socket.write(
+            'HTTP/1.1 101 Switching Protocols\r\n' +
+            'Upgrade: websocket\r\n' +
+            'Connection: Upgrade\r\n' +
+            `Sec-WebSocket-Accept: ${accept}\r\n\r\n`
+        );
+        socket.setNoDelay(true);
+        relay.connect(socket);
+    });
+
+    server.listen(port, () => {
+        console.log(`Space Cubes relay listening on ws://localhost:${port}`);
+    });
+
+    return { server, relay };
+}
+
+if (require.main === module) {
+    startRelay(Number(process.argv[2]) || DEFAULT_PORT);
+}
+
+module.exports = { Relay, Connection, startRelay };
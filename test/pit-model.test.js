@@ -0,0 +1,131 @@
+/**
+ * Rules tests for the headless pit model (js/pit-model.js)
+ *
+ * Run with: node --test test/
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+const { PitModel } = require('../js/pit-model.js');
+
+const RED = 0;
+const BLUE = 1;
+const GREEN = 2;
+
+/**
+ * Create a 3x3x6 model with red, blue and green as the first palette colors
+ */
+function createModel() {
+    return new PitModel(3, 3, 6, [0xff0000, 0x0000ff, 0x00ff00]);
+}
+
+/**
+ * Fill cells ([x, y, z]) with one color, as one piece if a serial is given
+ */
+function fill(model, cells, color, options = {}) {
+    model.setCells(cells.map(([x, y, z]) => [x, y, z, PitModel.createCell(color, options)]));
+}
+
+/**
+ * Colors of an (x, y) column bottom up, null for empty cells
+ */
+function columnColors(model, x, y) {
+    return model.grid[x][y].map(cell => cell === null ? null : cell.color);
+}
+
+test('findMatches finds same-color lines but not mixed or garbage ones', () => {
+    const model = createModel();
+    fill(model, [[0, 0, 0], [0, 1, 0], [0, 2, 0]], RED);
+    fill(model, [[1, 0, 0], [1, 1, 0]], BLUE);
+    fill(model, [[1, 2, 0]], GREEN);
+    fill(model, [[2, 0, 1], [2, 1, 1], [2, 2, 1]], RED, { flags: PitModel.CELL_FLAGS.GARBAGE });
+
+    const matches = model.findMatches();
+    assert.deepStrictEqual(matches.map(match => match.pattern), ['horizontal']);
+    assert.deepStrictEqual(matches[0].cells, [[0, 0, 0], [0, 1, 0], [0, 2, 0]]);
+    assert.strictEqual(matches[0].collapse, 'shift');
+});
+
+test('findMatches finds filled layers of any colors and tall same-color columns', () => {
+    const model = createModel();
+    model.getLayerCells(0).forEach(([x, y, z]) => fill(model, [[x, y, z]], (x + y) % 3));
+    model.columnClearHeight = 3;
+    fill(model, [[1, 1, 1], [1, 1, 2], [1, 1, 3]], GREEN);
+
+    const patterns = model.findMatches().map(match => match.pattern);
+    assert.deepStrictEqual(patterns, ['layer', 'column']);
+});
+
+test('clearCells shifts each column down over the removed cells', () => {
+    const model = createModel();
+    fill(model, [[0, 0, 0]], RED);
+    fill(model, [[0, 0, 1]], BLUE);
+    fill(model, [[0, 0, 2]], GREEN);
+
+    model.clearCells([[0, 0, 1]], 'shift');
+    assert.deepStrictEqual(columnColors(model, 0, 0), [RED, GREEN, null, null, null, null]);
+});
+
+test('clearCells leaves holes with no collapse and rejects unknown policies', () => {
+    const model = createModel();
+    fill(model, [[0, 0, 0], [0, 0, 1], [0, 0, 2]], RED);
+
+    model.clearCells([[0, 0, 1]], 'none');
+    assert.deepStrictEqual(columnColors(model, 0, 0), [RED, null, RED, null, null, null]);
+    assert.throws(() => model.clearCells([[0, 0, 0]], 'sideways'), /Unknown collapse policy/);
+});
+
+test('clearCells with cascade lets the cubes above fall into the hole', () => {
+    const model = createModel();
+    const events = [];
+    model.addListener(event => events.push(event.type));
+    fill(model, [[0, 0, 0]], RED, { serial: 1 });
+    fill(model, [[0, 0, 1]], BLUE, { serial: 2 });
+    fill(model, [[0, 0, 2], [0, 0, 3]], GREEN, { serial: 3 });
+
+    model.clearCells([[0, 0, 1]], 'cascade');
+    assert.deepStrictEqual(columnColors(model, 0, 0), [RED, GREEN, GREEN, null, null, null]);
+    assert.deepStrictEqual(events.slice(-2), ['clear', 'settle']);
+});
+
+test('settle drops pieces as rigid bodies until they rest', () => {
+    const model = createModel();
+    // A bar held up at one end and a loose cube under its free end
+    fill(model, [[0, 0, 0]], RED, { serial: 1 });
+    fill(model, [[0, 0, 3], [1, 0, 3], [2, 0, 3]], BLUE, { serial: 2 });
+    fill(model, [[2, 0, 2]], GREEN, { serial: 3 });
+
+    const falls = model.settle();
+
+    // The cube falls to the floor, the bar lands on the support
+    assert.deepStrictEqual(columnColors(model, 2, 0), [GREEN, BLUE, null, null, null, null]);
+    assert.deepStrictEqual(columnColors(model, 0, 0), [RED, BLUE, null, null, null, null]);
+    assert.deepStrictEqual(columnColors(model, 1, 0), [null, BLUE, null, null, null, null]);
+    assert.deepStrictEqual(falls.find(fall => fall.to.join() === '2,0,0').from, [2, 0, 2]);
+    assert.strictEqual(falls.length, 4);
+
+    // Nothing is loose any more
+    assert.deepStrictEqual(model.settle(), []);
+});
+
+test('settle holds same-color cubes together with color connectivity', () => {
+    const model = createModel();
+    model.setGravity('cascade', 'color');
+    fill(model, [[0, 0, 0]], RED, { serial: 1 });
+    fill(model, [[0, 0, 2]], BLUE, { serial: 2 });
+    fill(model, [[1, 0, 2]], BLUE, { serial: 3 });
+
+    model.settle();
+    assert.deepStrictEqual(columnColors(model, 0, 0), [RED, BLUE, null, null, null, null]);
+    assert.deepStrictEqual(columnColors(model, 1, 0), [null, BLUE, null, null, null, null]);
+});
+
+test('resolveMatches chains the matches a collapse completes', () => {
+    const model = createModel();
+    // Clearing the red line drops a blue cube next to two others
+    fill(model, [[0, 0, 0], [0, 1, 0], [0, 2, 0]], RED);
+    fill(model, [[1, 0, 0], [2, 0, 0], [0, 0, 1]], BLUE);
+
+    const steps = model.resolveMatches();
+    assert.deepStrictEqual(steps.map(step => step.matches.map(match => match.pattern)), [['horizontal'], ['vertical']]);
+    assert.ok(model.isPitEmpty());
+});
@@ -0,0 +1,115 @@
+/**
+ * Distribution tests for the piece randomizers (js/randomizers.js)
+ *
+ * Run with: node --test test/
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+const { SeededRandom } = require('../js/random.js');
+const { Randomizer } = require('../js/randomizers.js');
+
+const SHAPES = ['I3', 'L3', 'T4', 'O4', 'I4', 'S4', 'B4'];
+const SEED = 12345;
+const DRAWS = 70000;
+
+/**
+ * Create a randomizer over SHAPES with a fixed seed
+ */
+function createRandomizer(options) {
+    const randomizer = Randomizer.create(new SeededRandom(SEED), options);
+    randomizer.setShapes(SHAPES);
+    return randomizer;
+}
+
+/**
+ * Draw ids and count how often each one came up
+ */
+function countDraws(randomizer, draws) {
+    const counts = Object.fromEntries(SHAPES.map(id => [id, 0]));
+    for (let i = 0; i < draws; i++) {
+        counts[randomizer.next()]++;
+    }
+    return counts;
+}
+
+test('pure draws every shape about equally often', () => {
+    const counts = countDraws(createRandomizer({ type: 'pure' }), DRAWS);
+    const expected = DRAWS / SHAPES.length;
+
+    for (const id of SHAPES) {
+        assert.ok(Math.abs(counts[id] - expected) < expected * 0.05, `${id}: ${counts[id]} draws`);
+    }
+});
+
+test('bag deals every window of one bag as a full permutation', () => {
+    for (const copies of [1, 2]) {
+        const randomizer = createRandomizer({ type: 'bag', copies });
+        const size = SHAPES.length * copies;
+
+        for (let bag = 0; bag < 200; bag++) {
+            const window = Array.from({ length: size }, () => randomizer.next());
+            const expected = SHAPES.flatMap(id => Array(copies).fill(id));
+            assert.deepStrictEqual([...window].sort(), [...expected].sort(), `bag ${bag} with ${copies} copies`);
+        }
+    }
+});
+
+test('history rerolls recent shapes, so repeats are rare', () => {
+    const historySize = 4;
+    const randomizer = createRandomizer({ type: 'history', historySize, rerolls: 4 });
+    const pure = createRandomizer({ type: 'pure' });
+
+    // How often a draw repeats one of the last historySize shapes
+    const recentRepeats = (source) => {
+        const recent = [];
+        let repeats = 0;
+        for (let i = 0; i < DRAWS; i++) {
+            const id = source.next();
+            if (recent.includes(id)) repeats++;
+            recent.push(id);
+            if (recent.length > historySize) recent.shift();
+        }
+        return repeats / DRAWS;
+    };
+
+    const historyRate = recentRepeats(randomizer);
+    const pureRate = recentRepeats(pure);
+
+    // Every reroll must hit a recent shape again: at most (recent / shapes)^(rerolls + 1)
+    assert.ok(historyRate < Math.pow(historySize / SHAPES.length, 5) * 1.2, `history repeat rate ${historyRate}`);
+    assert.ok(historyRate < pureRate / 5, `history ${historyRate} vs pure ${pureRate}`);
+});
+
+test('weighted frequencies follow the configured weights', () => {
+    const weights = { I4: 0.5, 'S*': 2 };
+    const randomizer = createRandomizer({ type: 'weighted', defaultWeight: 1, weights });
+    const counts = countDraws(randomizer, DRAWS);
+
+    const weightOf = id => randomizer.getWeight(id);
+    assert.strictEqual(weightOf('I4'), 0.5);
+    assert.strictEqual(weightOf('S4'), 2);
+    assert.strictEqual(weightOf('T4'), 1);
+
+    const total = SHAPES.reduce((sum, id) => sum + weightOf(id), 0);
+    for (const id of SHAPES) {
+        const expected = DRAWS * weightOf(id) / total;
+        assert.ok(Math.abs(counts[id] - expected) < expected * 0.05, `${id}: ${counts[id]} draws, expected ${expected}`);
+    }
+});
+
+test('a restored state continues the same sequence', () => {
+    for (const options of [{ type: 'bag', copies: 1 }, { type: 'history', historySize: 4, rerolls: 4 }]) {
+        const random = new SeededRandom(SEED);
+        const randomizer = Randomizer.create(random, options);
+        randomizer.setShapes(SHAPES);
+        for (let i = 0; i < 10; i++) randomizer.next();
+
+        const copy = Randomizer.create(new SeededRandom(SEED), options);
+        copy.setShapes(SHAPES);
+        copy.random.state = random.state;
+        copy.setState(randomizer.getState());
+
+        const expected = Array.from({ length: 20 }, () => randomizer.next());
+        assert.deepStrictEqual(Array.from({ length: 20 }, () => copy.next()), expected, options.type);
+    }
+});